@@ -4,6 +4,11 @@ const fs = require('fs');
 
 // 导入核心处理模块
 const FileProcessor = require('./src/core/processor');
+const { VAULT_SUFFIX, revealToken } = require('./src/core/vault');
+const { FIELD_RULE_ACTIONS } = require('./src/core/field-rules');
+const { normalizeEntropyOptions } = require('./src/core/entropy');
+const { normalizeCustomRules, compileCustomRule, testCustomRule } = require('./src/core/custom-rules');
+const { normalizeRulePacks } = require('./src/core/rule-packs');
 
 // 应用配置
 const isDev = process.argv.includes('--dev');
@@ -196,6 +201,43 @@ function validateFilePath(filePath) {
   return filePath;
 }
 
+/**
+ * 标准化字段规则：只保留 { selector: string, action: 已知动作 }
+ * 选择器语法错误由 LogScrubber 编译时跳过并告警
+ */
+function normalizeFieldRules(rules, fallback = []) {
+  if (!Array.isArray(rules)) return fallback;
+  return rules
+    .filter((rule) => rule && typeof rule.selector === 'string' && rule.selector.trim()
+      && FIELD_RULE_ACTIONS.includes(rule.action))
+    .map((rule) => ({ selector: rule.selector.trim(), action: rule.action }));
+}
+
+/**
+ * 标准化 { 名称: 动作 } 映射（JSON 键名动作、访问日志字段动作、CSV 列动作）：只保留已知动作
+ */
+function normalizeActionMap(actions, allowedActions, fallback = {}) {
+  if (!actions || typeof actions !== 'object' || Array.isArray(actions)) return fallback;
+
+  const result = {};
+  for (const [key, action] of Object.entries(actions)) {
+    if (key.trim() && allowedActions.includes(action)) {
+      result[key.trim()] = action;
+    }
+  }
+  return result;
+}
+
+/**
+ * 标准化名称列表（键名白名单、敏感 cookie 名、CSV 列名）：只保留非空字符串；非数组时用默认值
+ */
+function normalizeNameList(names, fallback = []) {
+  if (!Array.isArray(names)) return fallback;
+  return names
+    .filter((name) => typeof name === 'string' && name.trim())
+    .map((name) => name.trim());
+}
+
 /**
  * 标准化 scrubber 配置选项
  * 将渲染进程发送的元数据映射回主进程的完整规则对象
@@ -221,6 +263,11 @@ function normalizeScrubberOptions(scrubberOptions = {}) {
     return { ...p, enabled };
   });
 
+  // 自定义规则：校验后编译为正则，排在内置规则之后（命中取舍与顺序无关）
+  for (const rule of normalizeCustomRules(scrubberOptions.customRules)) {
+    patterns.push(compileCustomRule(rule));
+  }
+
   // 保护 sensitiveKeys：只有当用户配置包含非空数组时才使用用户值
   // 否则使用默认值，确保敏感词列表不会被意外清空
   const userSensitiveKeys = scrubberOptions.sensitiveKeys;
@@ -229,7 +276,17 @@ function normalizeScrubberOptions(scrubberOptions = {}) {
 
   return {
     sensitiveKeys,
+    keyAllowlist: normalizeNameList(scrubberOptions.keyAllowlist, config.KEY_ALLOWLIST),
     patterns,
+    rulePacks: normalizeRulePacks(scrubberOptions.rulePacks),
+    fieldRules: normalizeFieldRules(scrubberOptions.fieldRules, config.FIELD_RULES),
+    keyActions: normalizeActionMap(scrubberOptions.keyActions, config.KEY_ACTION_TYPES, config.SENSITIVE_KEY_ACTIONS),
+    accessLogFields: normalizeActionMap(scrubberOptions.accessLogFields, config.ACCESS_LOG_ACTION_TYPES, {}),
+    cookieNames: normalizeNameList(scrubberOptions.cookieNames, config.SENSITIVE_COOKIE_NAMES),
+    csvColumns: normalizeActionMap(scrubberOptions.csvColumns, config.CSV_COLUMN_ACTION_TYPES, config.CSV_COLUMN_ACTIONS),
+    csvHeader: normalizeNameList(scrubberOptions.csvHeader, []),
+    entropy: normalizeEntropyOptions(scrubberOptions.entropy, config.ENTROPY_DETECTION),
+    accessLogFormat: typeof scrubberOptions.accessLogFormat === 'string' ? scrubberOptions.accessLogFormat : '',
     kvSeparators: Array.isArray(scrubberOptions.kvSeparators)
       ? scrubberOptions.kvSeparators
       : config.KV_SEPARATORS,
@@ -238,7 +295,13 @@ function normalizeScrubberOptions(scrubberOptions = {}) {
       : config.DEFAULT_MASK,
     // 透传开关配置
     enableMasking: scrubberOptions.enableMasking !== false,
-    maskUrlParams: scrubberOptions.maskUrlParams !== false
+    maskUrlParams: scrubberOptions.maskUrlParams !== false,
+    maskUrlPath: scrubberOptions.maskUrlPath === true,
+    maskStrategy: scrubberOptions.maskStrategy === 'pseudonymize' ? 'pseudonymize' : 'mask',
+    pseudonymizeHostnames: scrubberOptions.pseudonymizeHostnames === true,
+    pseudonymSecret: typeof scrubberOptions.pseudonymSecret === 'string'
+      ? scrubberOptions.pseudonymSecret
+      : ''
   };
 }
 
@@ -276,6 +339,15 @@ function normalizePersistedConfig(rawConfig) {
   }
   if (typeof normalized.skipBinaryFiles === 'boolean') options.skipBinaryFiles = normalized.skipBinaryFiles;
 
+  // 假名密钥/保险库口令不落盘：config.json 为明文，二者只在处理时随请求传入
+  delete options.pseudonymSecret;
+  delete options.vaultPassword;
+  options.enableVault = options.enableVault === true;
+  if (options.maskStrategy !== 'pseudonymize') options.maskStrategy = 'mask';
+  if (typeof options.accessLogFormat !== 'string') options.accessLogFormat = '';
+  if (!['auto', 'csv', 'tsv', 'off'].includes(options.csvMode)) options.csvMode = 'auto';
+  options.pseudonymizeHostnames = options.pseudonymizeHostnames === true;
+
   // outputDir 不在 DEFAULT_OPTIONS 内：显式支持并保证为 string
   if (typeof normalized.outputDir === 'string') options.outputDir = normalized.outputDir;
   if (typeof options.outputDir !== 'string') options.outputDir = '';
@@ -288,6 +360,17 @@ function normalizePersistedConfig(rawConfig) {
   const shouldUseUserSensitiveKeys = Array.isArray(userSensitiveKeys) && userSensitiveKeys.length > 0;
   result.sensitiveKeys = shouldUseUserSensitiveKeys ? userSensitiveKeys : config.SENSITIVE_KEYS;
 
+  result.keyAllowlist = normalizeNameList(normalized.keyAllowlist, config.KEY_ALLOWLIST);
+  result.fieldRules = normalizeFieldRules(normalized.fieldRules, config.FIELD_RULES);
+  result.keyActions = normalizeActionMap(normalized.keyActions, config.KEY_ACTION_TYPES, config.SENSITIVE_KEY_ACTIONS);
+  result.accessLogFields = normalizeActionMap(normalized.accessLogFields, config.ACCESS_LOG_ACTION_TYPES, {});
+  result.cookieNames = normalizeNameList(normalized.cookieNames, config.SENSITIVE_COOKIE_NAMES);
+  result.csvColumns = normalizeActionMap(normalized.csvColumns, config.CSV_COLUMN_ACTION_TYPES, config.CSV_COLUMN_ACTIONS);
+  result.csvHeader = normalizeNameList(normalized.csvHeader, []);
+  result.entropy = normalizeEntropyOptions(normalized.entropy, config.ENTROPY_DETECTION);
+  result.customRules = normalizeCustomRules(normalized.customRules);
+  result.rulePacks = normalizeRulePacks(normalized.rulePacks);
+
   if (Array.isArray(normalized.patterns)) result.patterns = normalized.patterns;
   if (typeof normalized.defaultMask === 'string') result.defaultMask = normalized.defaultMask;
   return result;
@@ -724,11 +807,60 @@ ipcMain.handle('process:cancel', () => {
   return { ok: true };
 });
 
+// 按令牌还原原值（需保险库文件与口令）
+ipcMain.handle('vault:reveal', async (event, vaultPath, token, password) => {
+  try {
+    const safePath = validateFilePath(vaultPath);
+    if (!safePath.endsWith(VAULT_SUFFIX)) {
+      throw new Error(`保险库文件必须以 ${VAULT_SUFFIX} 结尾`);
+    }
+    if (typeof token !== 'string' || !token.trim()) {
+      throw new Error('令牌不能为空');
+    }
+    if (typeof password !== 'string' || !password) {
+      throw new Error('保险库口令不能为空');
+    }
+
+    const value = revealToken(safePath, token, password);
+    if (value === null) {
+      return { ok: false, error: '保险库中没有该令牌' };
+    }
+    return { ok: true, value };
+  } catch (error) {
+    if (error.message.includes('访问被拒绝') || error.message.includes('无效的文件路径')) {
+      return { ok: false, error: '文件路径无效或无权限访问' };
+    }
+    return { ok: false, error: error.message };
+  }
+});
+
+// 校验一条自定义规则并在示例文本上单独试运行（规则编辑器）
+ipcMain.handle('rules:test', (event, rule, sample) => {
+  try {
+    const config = require('./src/core/config');
+    return { ok: true, ...testCustomRule(rule, sample, config.DEFAULT_MASK) };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+});
+
 // 获取默认配置（只返回可序列化的元数据）
 ipcMain.handle('config:getDefault', () => {
   const config = require('./src/core/config');
   return {
     sensitiveKeys: config.SENSITIVE_KEYS,
+    keyAllowlist: config.KEY_ALLOWLIST,
+    fieldRules: config.FIELD_RULES,
+    keyActions: config.SENSITIVE_KEY_ACTIONS,
+    accessLogFields: config.ACCESS_LOG_FIELD_ACTIONS,
+    cookieNames: config.SENSITIVE_COOKIE_NAMES,
+    csvColumns: config.CSV_COLUMN_ACTIONS,
+    csvHeader: [],
+    entropy: config.ENTROPY_DETECTION,
+    customRules: [],
+    rulePacks: [],
+    // 规则包目录只供界面展示，不随配置保存
+    rulePackCatalog: config.RULE_PACKS.map(({ id, name, description, patterns }) => ({ id, name, description, patterns })),
     // 只返回可序列化的元数据，避免函数/RegExp 跨 IPC 传输
     patterns: config.PATTERNS.map((pattern) => ({
       name: pattern.name,
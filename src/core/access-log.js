@@ -0,0 +1,160 @@
+/**
+ * Nginx / Apache access log format compiler
+ *
+ * 把 log_format 定义编译成带捕获组的正则，逐字段给出值在原文中的位置。
+ * 脱敏时只改写各字段所在片段，字段间的字面量（引号、方括号、空格）原样保留。
+ */
+
+// 内置格式：nginx 默认的 combined（即 main）与 common
+const ACCESS_LOG_FORMATS = {
+  combined: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent "$http_referer" "$http_user_agent"',
+  common: '$remote_addr - $remote_user [$time_local] "$request" $status $body_bytes_sent'
+};
+
+// Apache LogFormat 指令到 nginx 变量名的映射（%t 自带方括号）
+const APACHE_DIRECTIVES = {
+  h: '$remote_addr',
+  a: '$remote_addr',
+  l: '$remote_ident',
+  u: '$remote_user',
+  t: '[$time_local]',
+  r: '$request',
+  s: '$status',
+  '>s': '$status',
+  b: '$body_bytes_sent',
+  B: '$body_bytes_sent',
+  D: '$request_time',
+  T: '$request_time',
+  U: '$uri',
+  q: '$args',
+  m: '$request_method',
+  H: '$server_protocol',
+  v: '$server_name'
+};
+
+const NGINX_VARIABLE_REGEX = /\$(?:\{(\w+)\}|(\w+))/g;
+const APACHE_DIRECTIVE_REGEX = /%(?:\{([^}]+)\}([ioC])|(>?[a-zA-Z])|%)/g;
+
+/**
+ * Translate an Apache LogFormat string into nginx variable syntax
+ */
+function translateApacheFormat(format) {
+  return format.replace(APACHE_DIRECTIVE_REGEX, (match, header, kind, directive) => {
+    if (match === '%%') return '%';
+    if (header) {
+      // %{Referer}i → $http_referer；%{X-Forwarded-For}i → $http_x_forwarded_for
+      const name = header.toLowerCase().replace(/-/g, '_');
+      if (kind === 'i') return `$http_${name}`;
+      if (kind === 'o') return `$sent_http_${name}`;
+      return `$cookie_${name}`;
+    }
+    const variable = APACHE_DIRECTIVES[directive];
+    if (!variable) {
+      throw new Error(`不支持的 Apache 格式指令: %${directive}`);
+    }
+    return variable;
+  });
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a format (built-in name, nginx log_format or Apache LogFormat) into { fields, regex }.
+ * 每个变量的取值范围由其后紧跟的字面量决定：引号内允许 \" 转义，其余取到下一个分隔字符为止。
+ */
+function compileAccessLogFormat(format) {
+  let source = typeof format === 'string' ? format.trim() : '';
+  if (ACCESS_LOG_FORMATS[source]) {
+    source = ACCESS_LOG_FORMATS[source];
+  } else if (!source.includes('$') && source.includes('%')) {
+    source = translateApacheFormat(source);
+  }
+
+  const parts = [];
+  let last = 0;
+  for (const match of source.matchAll(NGINX_VARIABLE_REGEX)) {
+    parts.push({ literal: source.slice(last, match.index) });
+    parts.push({ name: match[1] || match[2] });
+    last = match.index + match[0].length;
+  }
+  parts.push({ literal: source.slice(last) });
+
+  const fields = parts.filter((part) => part.name).map((part) => part.name);
+  if (fields.length === 0) {
+    throw new Error(`访问日志格式中没有任何字段变量: ${format}`);
+  }
+
+  let pattern = '';
+  parts.forEach((part, index) => {
+    if (!part.name) {
+      pattern += escapeRegex(part.literal);
+      return;
+    }
+    const next = parts[index + 1];
+    const stop = next && next.literal ? next.literal[0] : '';
+    if (stop === '"') {
+      pattern += '((?:[^"\\\\]|\\\\.)*)';
+    } else if (stop) {
+      pattern += `([^${escapeRegex(stop)}]*)`;
+    } else if (index + 2 < parts.length) {
+      // 两个变量紧挨着：前一个尽量少取
+      pattern += '(.*?)';
+    } else {
+      pattern += '(.*)';
+    }
+  });
+
+  // d 标志：取得各捕获组在原文中的起止位置
+  return { fields, regex: new RegExp(`^${pattern}$`, 'd') };
+}
+
+/**
+ * Match a line against a compiled format.
+ * Returns [{ name, start, end, value }] or null when the line does not follow the format.
+ */
+function parseAccessLogLine(compiled, line) {
+  if (!compiled || typeof line !== 'string') return null;
+
+  const match = compiled.regex.exec(line);
+  if (!match) return null;
+
+  return compiled.fields.map((name, index) => {
+    const [start, end] = match.indices[index + 1];
+    return { name, start, end, value: match[index + 1] };
+  });
+}
+
+/**
+ * Truncate a single IPv6 address to its /48 prefix (first three groups)
+ */
+function truncateIpv6(address) {
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail !== undefined && tail ? tail.split(':') : [];
+  const groups = tail !== undefined
+    ? [...headGroups, ...new Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0'), ...tailGroups]
+    : headGroups;
+  return `${groups.slice(0, 3).map((group) => group || '0').join(':')}::`;
+}
+
+/**
+ * Truncate IP addresses in a field value: IPv4 to /24 (a.b.c.0), IPv6 to /48 (a:b:c::).
+ * X-Forwarded-For 等逗号分隔的列表逐个截断，非 IP 的片段（-、unknown）保持原样
+ */
+function truncateIp(value) {
+  return String(value).replace(/[^\s,]+/g, (token) => {
+    const ipv4 = /^(\d{1,3}\.\d{1,3}\.\d{1,3})\.\d{1,3}$/.exec(token);
+    if (ipv4) return `${ipv4[1]}.0`;
+    if (token.includes(':') && /^[0-9a-fA-F:]+$/.test(token)) return truncateIpv6(token);
+    return token;
+  });
+}
+
+module.exports = {
+  ACCESS_LOG_FORMATS,
+  compileAccessLogFormat,
+  parseAccessLogLine,
+  truncateIp
+};
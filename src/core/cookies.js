@@ -0,0 +1,124 @@
+/**
+ * Cookie / Set-Cookie header locator
+ *
+ * Cookie: a=1; JSESSIONID=ABC; lang=zh 拆成逐个 cookie，记录每个值在原文中的位置。
+ * Set-Cookie 每个 cookie 只有第一对是值，其后的 Path / Expires / HttpOnly 等属性原样保留；
+ * 多个 Set-Cookie 合并成一行时（"a=1; Path=/, sid=2; HttpOnly"）以逗号分隔，逐个拆开。
+ */
+
+// 头名 + 分隔符（兼容 "Cookie": "..." 与 cookie=...），值可带一个开引号
+const COOKIE_HEADER_REGEX = /\b(set-cookie|cookie)(["']?\s*[:=]\s*["']?)/gi;
+
+// cookie 名：RFC 6265 token（不含空白、分隔符）
+const COOKIE_NAME_REGEX = /[^\s=;,"'()<>@[\]{}\\/?]+/y;
+
+// cookie 值：引号值或不含 ; 空白 引号 逗号的字符串
+const COOKIE_VALUE_REGEX = /"([^"]*)"|[^;\s"',]*/y;
+
+const COOKIE_SEPARATOR_REGEX = /;\s*/y;
+
+// Set-Cookie 的属性序列："; Path=/"、"; HttpOnly"；Expires 日期中的逗号后跟数字（Wed, 21 Oct 2015）
+const SET_COOKIE_ATTRIBUTES_REGEX = /(?:\s*;[^;,"']*(?:,\s*\d[^;,"']*)?)*/y;
+
+// 合并的 Set-Cookie 之间的逗号
+const SET_COOKIE_SEPARATOR_REGEX = /\s*,\s*/y;
+
+/**
+ * Parse "name=value" at pos. Returns { name, start, end, value, quoted, next } or null
+ */
+function parseCookiePair(text, pos) {
+  COOKIE_NAME_REGEX.lastIndex = pos;
+  const name = COOKIE_NAME_REGEX.exec(text);
+  if (!name || text[COOKIE_NAME_REGEX.lastIndex] !== '=') return null;
+
+  COOKIE_VALUE_REGEX.lastIndex = COOKIE_NAME_REGEX.lastIndex + 1;
+  const value = COOKIE_VALUE_REGEX.exec(text);
+  const quoted = value[1] !== undefined;
+  const start = COOKIE_NAME_REGEX.lastIndex + 1 + (quoted ? 1 : 0);
+  const raw = quoted ? value[1] : value[0];
+  return {
+    name: name[0],
+    start,
+    end: start + raw.length,
+    value: raw,
+    quoted,
+    next: COOKIE_VALUE_REGEX.lastIndex
+  };
+}
+
+/**
+ * Parse the cookie list starting at pos: "a=1; b=2" for Cookie; for Set-Cookie the first pair of
+ * each comma-joined cookie.
+ * Returns [{ name, start, end, value, quoted, next }]（next 为该 cookie 之后的位置）
+ */
+function parseCookieList(text, pos, setCookie) {
+  const cookies = [];
+  for (;;) {
+    const pair = parseCookiePair(text, pos);
+    if (!pair) break;
+    cookies.push(pair);
+    pos = pair.next;
+
+    if (setCookie) {
+      // 跳过本 cookie 的属性；其后是逗号时尝试按下一个 cookie 解析（不是 name=value 则到此结束）
+      SET_COOKIE_ATTRIBUTES_REGEX.lastIndex = pos;
+      SET_COOKIE_ATTRIBUTES_REGEX.exec(text);
+      SET_COOKIE_SEPARATOR_REGEX.lastIndex = SET_COOKIE_ATTRIBUTES_REGEX.lastIndex;
+      if (!SET_COOKIE_SEPARATOR_REGEX.exec(text)) break;
+      pos = SET_COOKIE_SEPARATOR_REGEX.lastIndex;
+      continue;
+    }
+
+    // 下一对以 "; " 分隔；不是则 Cookie 头到此结束
+    COOKIE_SEPARATOR_REGEX.lastIndex = pos;
+    if (!COOKIE_SEPARATOR_REGEX.exec(text)) break;
+    pos = COOKIE_SEPARATOR_REGEX.lastIndex;
+  }
+  return cookies;
+}
+
+const stripNext = ({ next, ...cookie }) => cookie;
+
+/**
+ * Find Cookie / Set-Cookie headers in a line.
+ * Returns [{ start, end, setCookie, cookies: [{ name, start, end, value, quoted }] }]，
+ * start/end 覆盖头名到最后一个 cookie 值（不含 Set-Cookie 的属性）
+ */
+function findCookieHeaders(text) {
+  const headers = [];
+  if (typeof text !== 'string' || !/cookie/i.test(text)) return headers;
+
+  COOKIE_HEADER_REGEX.lastIndex = 0;
+  let match;
+  while ((match = COOKIE_HEADER_REGEX.exec(text)) !== null) {
+    const setCookie = match[1].toLowerCase() === 'set-cookie';
+    const cookies = parseCookieList(text, COOKIE_HEADER_REGEX.lastIndex, setCookie);
+    if (cookies.length > 0) {
+      const end = cookies[cookies.length - 1].next;
+      headers.push({ start: match.index, end, setCookie, cookies: cookies.map(stripNext) });
+      COOKIE_HEADER_REGEX.lastIndex = end;
+    }
+  }
+
+  return headers;
+}
+
+/**
+ * Parse a whole header value (e.g. a JSON "Cookie" field) as cookies.
+ * Returns the cookie list, or null when the value is not a cookie list
+ */
+function parseCookieHeaderValue(value, setCookie) {
+  if (typeof value !== 'string') return null;
+  const cookies = parseCookieList(value, 0, setCookie);
+  if (cookies.length === 0) return null;
+
+  // Cookie 值须整体可解析（允许结尾的 ;）；Set-Cookie 最后一个 cookie 之后只能是 ; 开头的属性
+  const rest = value.slice(cookies[cookies.length - 1].next);
+  const wellFormed = setCookie ? (rest === '' || rest.startsWith(';')) : /^;?\s*$/.test(rest);
+  return wellFormed ? cookies.map(stripNext) : null;
+}
+
+module.exports = {
+  findCookieHeaders,
+  parseCookieHeaderValue
+};
@@ -0,0 +1,91 @@
+/**
+ * RFC 4180 CSV / TSV record parsing with source spans
+ *
+ * 审计导出等 CSV 以表头标识列含义（phone、id_card、email），按列处理比逐行套正则可靠。
+ * 引号字段内可含分隔符、"" 转义与换行，逐行读入时需把多行拼成一条记录再解析。
+ * 记录每个字段在原文中的位置，未改动的字段原样输出（保留原有引号形态）。
+ */
+
+const path = require('path');
+
+// csvMode → 分隔符；auto 按扩展名判断
+const CSV_DELIMITERS = { csv: ',', tsv: '\t' };
+const CSV_EXTENSIONS = { '.csv': ',', '.tsv': '\t', '.tab': '\t' };
+
+/**
+ * Resolve the delimiter for a file: csvMode 'csv' / 'tsv' force it, 'auto' looks at the extension.
+ * Returns null when the file is not processed as CSV
+ */
+function resolveCsvDelimiter(csvMode, filePath) {
+  if (CSV_DELIMITERS[csvMode]) return CSV_DELIMITERS[csvMode];
+  if (csvMode !== 'auto' || typeof filePath !== 'string') return null;
+  return CSV_EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Parse one record. Returns [{ start, end, value, quoted }]（start/end 含引号），
+ * or null when a quoted field is still open at the end of text (the record continues on the next line).
+ * final 为 true 时（文件末尾）未闭合的引号字段取到结尾
+ */
+function parseCsvRecord(text, delimiter, final = false) {
+  const fields = [];
+  let pos = 0;
+
+  for (;;) {
+    const start = pos;
+    let value = '';
+    let quoted = false;
+
+    if (text[pos] === '"') {
+      quoted = true;
+      pos++;
+      for (;;) {
+        const close = text.indexOf('"', pos);
+        if (close === -1) {
+          if (!final) return null;
+          value += text.slice(pos);
+          pos = text.length;
+          break;
+        }
+        value += text.slice(pos, close);
+        if (text[close + 1] === '"') {
+          value += '"';
+          pos = close + 2;
+        } else {
+          pos = close + 1;
+          break;
+        }
+      }
+      // 闭合引号后到分隔符前的杂散字符（"a"b）并入值，不丢字节
+      const next = text.indexOf(delimiter, pos);
+      const end = next === -1 ? text.length : next;
+      value += text.slice(pos, end);
+      pos = end;
+    } else {
+      const next = text.indexOf(delimiter, pos);
+      pos = next === -1 ? text.length : next;
+      value = text.slice(start, pos);
+    }
+
+    fields.push({ start, end: pos, value, quoted });
+    if (pos >= text.length) break;
+    pos += delimiter.length;
+  }
+
+  return fields;
+}
+
+/**
+ * Encode a field value; quotes are added when the value needs them or the original field was quoted
+ */
+function formatCsvField(value, delimiter, quoted = false) {
+  const text = String(value);
+  if (!quoted && !text.includes(delimiter) && !/["\r\n]/.test(text)) return text;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+module.exports = {
+  resolveCsvDelimiter,
+  parseCsvRecord,
+  formatCsvField
+};
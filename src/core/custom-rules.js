@@ -0,0 +1,170 @@
+/**
+ * User-defined regex rules
+ *
+ * 自定义规则以可序列化的形式保存（正则源码 + flags + 替换模板），经主进程校验后
+ * 编译为与内置 PATTERNS 同结构的规则对象，和内置规则一起参与检测与统计：
+ *   { name, description, category, source, flags, replacement, enabled }
+ */
+
+const { PATTERNS } = require('./config');
+const LogScrubber = require('./scrubber');
+const { findUnsafeRegexReason } = require('./regex-guard');
+
+// 规则名同时用作统计名与界面控件 id：小写字母开头的 snake_case
+const CUSTOM_RULE_NAME_REGEX = /^[a-z][a-z0-9_]{1,63}$/;
+
+// g 总会加上；y（粘连）与逐处查找命中冲突，不开放
+const CUSTOM_RULE_FLAGS = ['i', 'm', 's', 'u'];
+
+const CUSTOM_RULE_CATEGORIES = [...new Set([...PATTERNS.map((p) => p.category), 'custom'])];
+
+// 检测器自身的统计名，自定义规则不能占用（否则两类命中会混在一起计数）
+const DETECTOR_STAT_NAMES = [
+  'key_value_masking', 'cookie_masking', 'url_masking', 'xml_masking',
+  'json_field_masked', 'json_field_nulled', 'json_field_dropped',
+  'csv_field_masked', 'csv_field_hashed', 'csv_field_dropped',
+  'syslog_hostname', 'syslog_structured_data',
+  'access_log_field_masked', 'access_log_ip_truncated'
+];
+
+const RESERVED_RULE_NAMES = new Set([...PATTERNS.map((p) => p.name), ...DETECTOR_STAT_NAMES]);
+
+const MAX_SOURCE_LENGTH = 1000;
+const MAX_TEXT_LENGTH = 200;
+const MAX_SAMPLE_LENGTH = 10000;
+
+/**
+ * Validate one custom rule. Returns the normalized rule, throws on invalid input
+ */
+function validateCustomRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('自定义规则必须是对象');
+  }
+
+  const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+  if (!CUSTOM_RULE_NAME_REGEX.test(name)) {
+    throw new Error('规则名须为小写字母开头的 2-64 位 snake_case（如 order_ref）');
+  }
+  if (RESERVED_RULE_NAMES.has(name)) {
+    throw new Error(`规则名 ${name} 与内置规则重名`);
+  }
+
+  const source = typeof rule.source === 'string' ? rule.source : '';
+  if (!source) {
+    throw new Error('正则不能为空');
+  }
+  if (source.length > MAX_SOURCE_LENGTH) {
+    throw new Error(`正则长度不能超过 ${MAX_SOURCE_LENGTH} 个字符`);
+  }
+
+  const flags = typeof rule.flags === 'string' ? rule.flags.replace(/g/g, '') : '';
+  if ([...flags].some((flag) => !CUSTOM_RULE_FLAGS.includes(flag)) || new Set(flags).size !== flags.length) {
+    throw new Error(`flags 只能是 ${CUSTOM_RULE_FLAGS.join(' / ')} 的组合（g 会自动加上）`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(source, flags);
+  } catch (error) {
+    throw new Error(`正则语法错误: ${error.message}`);
+  }
+  // 能匹配空串的规则没有可替换的内容（如 a* 在每个位置都命中空串）
+  if (regex.test('')) {
+    throw new Error('正则不能匹配空字符串');
+  }
+  const unsafeReason = findUnsafeRegexReason(regex);
+  if (unsafeReason) {
+    throw new Error(`正则可能出现灾难性回溯: ${unsafeReason}`);
+  }
+
+  const replacement = typeof rule.replacement === 'string' ? rule.replacement : '';
+  const description = typeof rule.description === 'string' ? rule.description.trim() : '';
+  if (replacement.length > MAX_TEXT_LENGTH || description.length > MAX_TEXT_LENGTH) {
+    throw new Error(`描述与替换模板不能超过 ${MAX_TEXT_LENGTH} 个字符`);
+  }
+
+  return {
+    name,
+    description: description || name,
+    category: CUSTOM_RULE_CATEGORIES.includes(rule.category) ? rule.category : 'custom',
+    source,
+    flags: [...flags].sort().join(''),
+    replacement,
+    enabled: rule.enabled !== false
+  };
+}
+
+/**
+ * Normalize a persisted / submitted rule list: invalid or duplicate rules are dropped with a warning
+ */
+function normalizeCustomRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  const result = [];
+  const names = new Set();
+  for (const rule of rules) {
+    try {
+      const normalized = validateCustomRule(rule);
+      if (names.has(normalized.name)) {
+        console.warn('Duplicate custom rule skipped:', normalized.name);
+        continue;
+      }
+      names.add(normalized.name);
+      result.push(normalized);
+    } catch (error) {
+      console.warn('Invalid custom rule skipped:', rule && rule.name, error.message);
+    }
+  }
+  return result;
+}
+
+/**
+ * Compile a normalized rule into a pattern object (same shape as PATTERNS entries)
+ */
+function compileCustomRule(rule) {
+  return {
+    name: rule.name,
+    description: rule.description,
+    regex: new RegExp(rule.source, `${rule.flags}g`),
+    // 空模板交给 scrubber 使用 defaultMask
+    replacement: rule.replacement,
+    enabled: rule.enabled === true,
+    category: rule.category,
+    custom: true
+  };
+}
+
+/**
+ * Validate a rule and run it alone on sample text (规则编辑器的实时测试).
+ * Returns { rule, masked, hasChanges, count }
+ */
+function testCustomRule(rule, sample, defaultMask) {
+  const normalized = validateCustomRule(rule);
+  const text = typeof sample === 'string' ? sample.slice(0, MAX_SAMPLE_LENGTH) : '';
+  const scrubber = new LogScrubber({
+    patterns: [{ ...compileCustomRule(normalized), enabled: true }],
+    defaultMask
+  });
+  // 示例文本同样受单行时间预算约束，超时以错误返回
+  scrubber.startLineBudget();
+  let result;
+  try {
+    result = scrubber.maskPatterns(text);
+  } finally {
+    scrubber.lineDeadline = null;
+  }
+  return {
+    rule: normalized,
+    masked: result.masked,
+    hasChanges: result.hasChanges,
+    count: result.matches[normalized.name] || 0
+  };
+}
+
+module.exports = {
+  CUSTOM_RULE_CATEGORIES,
+  validateCustomRule,
+  normalizeCustomRules,
+  compileCustomRule,
+  testCustomRule
+};
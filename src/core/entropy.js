@@ -0,0 +1,144 @@
+/**
+ * High-entropy token detection
+ *
+ * 无固定前缀的厂商令牌、内部服务令牌、随机 hex / base62 密钥没有专门的规则可套，
+ * 按字符集计算 Shannon 熵，超过阈值的长串视为密钥。紧跟在 = / : 之后或附近出现
+ * key、secret 等词时提高得分；git SHA、UUID、k8s Pod 名、路径中的 hex 段、由单词和数字拼成的标识符
+ * 等已知无害形态放行。
+ */
+
+// 候选串取 base64url 字符集，两侧不能紧贴同类字符（标准 base64 的 + / 由 base64_data 规则负责）
+const CANDIDATE_REGEX = /(?<![\w-])[\w-]+(?![\w-])/g;
+
+const HEX_REGEX = /^[0-9a-fA-F]+$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// git 对象名：SHA-1 40 位、SHA-256 64 位
+const GIT_SHA_LENGTHS = [40, 64];
+
+// k8s 控制器生成的 Pod 名：<名称>-<模板哈希 6~10 位>-<5 位随机后缀>（DaemonSet / Job 没有模板哈希段）
+const POD_SUFFIX_REGEX = /^[a-z0-9]{5}$/;
+const POD_TEMPLATE_HASH_REGEX = /^[a-z0-9]{6,10}$/;
+
+// 上下文只看命中前这么多个字符
+const CONTEXT_WINDOW = 32;
+const SEPARATOR_BEFORE_REGEX = /[:=]\s*["']?$/;
+const CONTEXT_WORD_REGEX = /key|secret|token|passw(?:or)?d|pwd|credential|auth|signature|private/i;
+
+// 紧跟在这些键名之后的值是追踪 ID、提交号、摘要等标识符（trace_id=4bf9...、commit 3f2a...）
+const BENIGN_KEY_BEFORE_REGEX = /\b(?:[\w-]*(?:trace|span|request|correlation)[\w-]*|commit|sha\d*|hash|checksum|digest|etag|md5)["']?\s*[:=]?\s*["']?$/i;
+
+/**
+ * Shannon entropy of a string in bits per character
+ */
+function shannonEntropy(text) {
+  const counts = new Map();
+  for (const ch of text) {
+    counts.set(ch, (counts.get(ch) || 0) + 1);
+  }
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Charset of a candidate token: 'hex' or 'base64'（其余 base62 / base64url）
+ */
+function classifyCharset(token) {
+  return HEX_REGEX.test(token) ? 'hex' : 'base64';
+}
+
+/**
+ * Whether one _ / - separated part of a token reads like an identifier word: 短段（x86、v2）、
+ * 字母与数字最多切换一次，且字母部分是短前缀（DE8937...、INV2026...）或按 camelCase 拆出的
+ * 单词平均不短于 3 个字母（handleRequest2024、ERR）
+ */
+function isIdentifierPart(part) {
+  if (part.length <= 4) return true;
+  if ((part.match(/[A-Za-z]\d|\d[A-Za-z]/g) || []).length > 1) return false;
+  const words = part.match(/[A-Z]?[a-z]+|[A-Z]+(?![a-z])/g) || [];
+  const letters = words.reduce((sum, word) => sum + word.length, 0);
+  return letters <= 4 || letters / words.length >= 3;
+}
+
+/**
+ * Whether a token reads like a generated k8s pod name (payment-service-7d9f8b6c5-x2k4j)：
+ * 全小写，去掉随机后缀与模板哈希后剩下的名称段都是标识符单词
+ */
+function isPodName(token) {
+  if (!/^[a-z0-9-]+$/.test(token)) return false;
+  const parts = token.split('-');
+  if (parts.length < 2 || !POD_SUFFIX_REGEX.test(parts.pop())) return false;
+  if (parts.length > 1 && POD_TEMPLATE_HASH_REGEX.test(parts[parts.length - 1])) parts.pop();
+  return parts.every((part) => /^[a-z]/.test(part) && isIdentifierPart(part));
+}
+
+/**
+ * Whether a token has a known harmless shape: UUID、git SHA、k8s Pod 名，或由单词与数字拼成的标识符
+ */
+function isBenignShape(token) {
+  if (UUID_REGEX.test(token)) return true;
+  if (HEX_REGEX.test(token) && GIT_SHA_LENGTHS.includes(token.length)) return true;
+  if (isPodName(token)) return true;
+  return token.split(/[_-]+/).every(isIdentifierPart);
+}
+
+/**
+ * Find high-entropy tokens in a line.
+ * options: { minLength, thresholds: { hex, base64 }, contextBoost }
+ * Returns [{ start, end, value, charset, entropy }]
+ */
+function findHighEntropyTokens(text, { minLength, thresholds, contextBoost }) {
+  const tokens = [];
+  if (typeof text !== 'string' || text.length < minLength) return tokens;
+
+  for (const match of text.matchAll(CANDIDATE_REGEX)) {
+    const value = match[0];
+    // 随机串几乎总是字母数字混合；纯字母是单词，纯数字交给号码类规则
+    if (value.length < minLength || !/\d/.test(value) || !/[A-Za-z]/.test(value)) continue;
+
+    const before = text.slice(Math.max(0, match.index - CONTEXT_WINDOW), match.index);
+    if (BENIGN_KEY_BEFORE_REGEX.test(before)) continue;
+    // URL / 文件路径里的纯 hex 段是资源 ID 或内容哈希（/orders/3f2a.../items、/blobs/sha256/...）
+    if (before.endsWith('/') && HEX_REGEX.test(value)) continue;
+    const nearKeyword = CONTEXT_WORD_REGEX.test(before);
+    // 附近有 key / secret 等词时，形似 SHA / UUID 的值也可能是密钥（如 UUID 形态的 API key）
+    if (!nearKeyword && isBenignShape(value)) continue;
+
+    const charset = classifyCharset(value);
+    const entropy = shannonEntropy(value);
+    const boost = (nearKeyword ? contextBoost : 0) + (SEPARATOR_BEFORE_REGEX.test(before) ? contextBoost : 0);
+    if (entropy + boost < thresholds[charset]) continue;
+
+    tokens.push({ start: match.index, end: match.index + value.length, value, charset, entropy });
+  }
+
+  return tokens;
+}
+
+/**
+ * Merge user entropy options over defaults, dropping invalid values
+ */
+function normalizeEntropyOptions(options, defaults) {
+  const input = options && typeof options === 'object' ? options : {};
+  const isNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+  const thresholds = { ...defaults.thresholds };
+  for (const charset of Object.keys(thresholds)) {
+    if (isNumber(input.thresholds?.[charset])) thresholds[charset] = input.thresholds[charset];
+  }
+  return {
+    minLength: Number.isInteger(input.minLength) && input.minLength > 0 ? input.minLength : defaults.minLength,
+    thresholds,
+    contextBoost: isNumber(input.contextBoost) ? input.contextBoost : defaults.contextBoost
+  };
+}
+
+module.exports = {
+  shannonEntropy,
+  findHighEntropyTokens,
+  normalizeEntropyOptions
+};
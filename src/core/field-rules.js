@@ -0,0 +1,132 @@
+/**
+ * JSONPath-like field selectors for structured log masking
+ *
+ * 支持的语法（JSONPath 的常用子集）：
+ *   $.user.mobile        子字段
+ *   $..number            任意深度的字段
+ *   $.headers['x-api-key'] / ["x-api-key"]   含特殊字符的键名
+ *   $.items[0] / $.items[*] / $.user.*       数组下标与通配
+ *
+ * 动作：mask（按当前脱敏方式替换）、hash（始终替换为假名令牌）、drop（删除该字段）、
+ * keep（保留原值，不再套用敏感键名规则——用于豁免误伤的字段）。
+ */
+
+const FIELD_RULE_ACTIONS = ['mask', 'hash', 'drop', 'keep'];
+
+const NAME_REGEX = /[^.[\]\s]+/y;
+const INDEX_REGEX = /\[(\d+)\]/y;
+const QUOTED_REGEX = /\[\s*(['"])((?:\\.|(?!\1).)*)\1\s*\]/y;
+
+/**
+ * Parse a selector string into steps; throws on invalid syntax.
+ * step: { descendant: boolean, type: 'name' | 'index' | 'wildcard', value }
+ */
+function parseSelector(selector) {
+  const text = typeof selector === 'string' ? selector.trim() : '';
+  if (!text.startsWith('$')) {
+    throw new Error(`无效的字段选择器（须以 $ 开头）: ${selector}`);
+  }
+
+  const steps = [];
+  let pos = 1;
+
+  while (pos < text.length) {
+    let descendant = false;
+
+    if (text.startsWith('..', pos)) {
+      descendant = true;
+      pos += 2;
+    } else if (text[pos] === '.') {
+      pos += 1;
+    } else if (text[pos] !== '[') {
+      throw new Error(`无效的字段选择器: ${selector}`);
+    }
+
+    let match;
+    if (text[pos] === '*') {
+      steps.push({ descendant, type: 'wildcard' });
+      pos += 1;
+    } else if (text.startsWith('[*]', pos)) {
+      steps.push({ descendant, type: 'wildcard' });
+      pos += 3;
+    } else if ((INDEX_REGEX.lastIndex = pos, match = INDEX_REGEX.exec(text))) {
+      steps.push({ descendant, type: 'index', value: Number(match[1]) });
+      pos = INDEX_REGEX.lastIndex;
+    } else if ((QUOTED_REGEX.lastIndex = pos, match = QUOTED_REGEX.exec(text))) {
+      steps.push({ descendant, type: 'name', value: match[2].replace(/\\(.)/g, '$1') });
+      pos = QUOTED_REGEX.lastIndex;
+    } else if (text[pos - 1] === '.' && (NAME_REGEX.lastIndex = pos, match = NAME_REGEX.exec(text))) {
+      steps.push({ descendant, type: 'name', value: match[0] });
+      pos = NAME_REGEX.lastIndex;
+    } else {
+      throw new Error(`无效的字段选择器: ${selector}`);
+    }
+  }
+
+  if (steps.length === 0) {
+    throw new Error(`字段选择器至少需要一级字段: ${selector}`);
+  }
+  return steps;
+}
+
+/**
+ * Compile { selector, action } rules; invalid entries are skipped with a warning
+ */
+function compileFieldRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  const compiled = [];
+  for (const rule of rules) {
+    if (!rule || typeof rule !== 'object') continue;
+    if (!FIELD_RULE_ACTIONS.includes(rule.action)) {
+      console.warn('Invalid field rule action:', rule.selector, rule.action);
+      continue;
+    }
+    try {
+      compiled.push({ selector: rule.selector, action: rule.action, steps: parseSelector(rule.selector) });
+    } catch (error) {
+      console.warn('Invalid field rule selector:', error.message);
+    }
+  }
+  return compiled;
+}
+
+function stepMatches(step, segment) {
+  // 键名为字符串、下标为数字，严格相等即可区分 ['0'] 与 [0]
+  return step.type === 'wildcard' || segment === step.value;
+}
+
+function matchSteps(steps, stepIndex, path, pathIndex) {
+  if (stepIndex === steps.length) return pathIndex === path.length;
+  if (pathIndex >= path.length) return false;
+
+  const step = steps[stepIndex];
+  if (!step.descendant) {
+    return stepMatches(step, path[pathIndex]) && matchSteps(steps, stepIndex + 1, path, pathIndex + 1);
+  }
+
+  // ..：在剩余路径的任意位置匹配
+  for (let i = pathIndex; i < path.length; i++) {
+    if (stepMatches(step, path[i]) && matchSteps(steps, stepIndex + 1, path, i + 1)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Find the first rule whose selector matches a value path (keys as strings, array indexes as numbers)
+ */
+function findFieldRule(compiledRules, path) {
+  for (const rule of compiledRules) {
+    if (matchSteps(rule.steps, 0, path, 0)) return rule;
+  }
+  return null;
+}
+
+module.exports = {
+  FIELD_RULE_ACTIONS,
+  parseSelector,
+  compileFieldRules,
+  findFieldRule
+};
@@ -0,0 +1,250 @@
+/**
+ * Lossless JSON span parser
+ *
+ * 解析 JSON 文本但不生成 JS 值，而是记录每个值在原文中的 [start, end) 位置。
+ * 脱敏只替换敏感值所在的片段，其余字节（缩进、键顺序、\u 转义、超出 2^53 的大整数）原样保留；
+ * JSON.parse → JSON.stringify 往返会把雪花 ID 等 64 位整数截断成 ...000。
+ */
+
+// 嵌套深度上限：超过则视为非 JSON（交给文本模式），避免恶意深嵌套撑爆调用栈
+const MAX_DEPTH = 512;
+
+// 单行内尝试定位嵌入 JSON 的起点次数上限（大量不配对的 { / [ 时避免平方级扫描）
+const MAX_SEGMENT_ATTEMPTS = 64;
+
+const CLOSERS = { '{': '}', '[': ']' };
+
+// 解析失败只用于跳出递归、外层一律返回 null：复用同一个错误对象，省去每次抓取调用栈的开销
+//（文本日志里 [main]、{0} 之类的括号很多，逐个尝试解析时这部分开销占大头）
+const PARSE_FAILURE = new SyntaxError('Invalid JSON');
+
+// 值起始字符：嵌入 JSON 的 { 后须紧跟 " 或 }，[ 后须紧跟一个值，否则不必尝试
+const OBJECT_START_REGEX = /\{\s*["}]/y;
+const ARRAY_START_REGEX = /\[\s*[[{"\-\dtfn]/y;
+
+const NUMBER_REGEX = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+const LITERALS = ['true', 'false', 'null'];
+
+/**
+ * Parse JSON text into a span tree; returns null when the text is not valid JSON.
+ *
+ * 节点形态：
+ * - { type: 'object', start, end, entries: [{ key, keyNode, value }] }
+ * - { type: 'array', start, end, items: [node] }
+ * - { type: 'string', start, end, value }（value 为解码后的字符串）
+ * - { type: 'number' | 'literal', start, end }（原文即 text.slice(start, end)）
+ */
+function parseJsonSpans(text) {
+  if (typeof text !== 'string') return null;
+
+  let pos = 0;
+  const fail = () => {
+    throw PARSE_FAILURE;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const c = text.charCodeAt(pos);
+      if (c !== 0x20 && c !== 0x09 && c !== 0x0a && c !== 0x0d) break;
+      pos++;
+    }
+  };
+
+  const parseString = () => {
+    const start = pos;
+    pos++; // 开头的 "
+    while (pos < text.length) {
+      const c = text.charCodeAt(pos);
+      if (c === 0x22) {
+        pos++;
+        // 转义是否合法交给 JSON.parse 判定（非法时抛出 SyntaxError）
+        return { type: 'string', start, end: pos, value: JSON.parse(text.slice(start, pos)) };
+      }
+      if (c === 0x5c) {
+        pos += 2;
+        continue;
+      }
+      if (c < 0x20) fail();
+      pos++;
+    }
+    return fail();
+  };
+
+  const parseValue = (depth) => {
+    if (depth > MAX_DEPTH) fail();
+    skipWhitespace();
+    const ch = text[pos];
+
+    if (ch === '{') return parseObject(depth);
+    if (ch === '[') return parseArray(depth);
+    if (ch === '"') return parseString();
+
+    if (ch === '-' || (ch >= '0' && ch <= '9')) {
+      NUMBER_REGEX.lastIndex = pos;
+      const match = NUMBER_REGEX.exec(text);
+      if (!match) fail();
+      const start = pos;
+      pos += match[0].length;
+      return { type: 'number', start, end: pos };
+    }
+
+    for (const literal of LITERALS) {
+      if (text.startsWith(literal, pos)) {
+        const start = pos;
+        pos += literal.length;
+        return { type: 'literal', start, end: pos };
+      }
+    }
+
+    return fail();
+  };
+
+  const parseObject = (depth) => {
+    const start = pos;
+    const entries = [];
+    pos++; // {
+    skipWhitespace();
+    if (text[pos] === '}') {
+      pos++;
+      return { type: 'object', start, end: pos, entries };
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (text[pos] !== '"') fail();
+      const keyNode = parseString();
+      skipWhitespace();
+      if (text[pos] !== ':') fail();
+      pos++;
+      const value = parseValue(depth + 1);
+      entries.push({ key: keyNode.value, keyNode, value });
+
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (text[pos] === '}') {
+        pos++;
+        return { type: 'object', start, end: pos, entries };
+      }
+      fail();
+    }
+  };
+
+  const parseArray = (depth) => {
+    const start = pos;
+    const items = [];
+    pos++; // [
+    skipWhitespace();
+    if (text[pos] === ']') {
+      pos++;
+      return { type: 'array', start, end: pos, items };
+    }
+
+    for (;;) {
+      items.push(parseValue(depth + 1));
+      skipWhitespace();
+      if (text[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (text[pos] === ']') {
+        pos++;
+        return { type: 'array', start, end: pos, items };
+      }
+      fail();
+    }
+  };
+
+  try {
+    const root = parseValue(0);
+    skipWhitespace();
+    return pos === text.length ? root : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Find the end (exclusive) of the bracket group opening at `start`, honoring strings; -1 if unbalanced
+ */
+function findBalancedEnd(text, start) {
+  const expected = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      expected.push(CLOSERS[ch]);
+    } else if (ch === '}' || ch === ']') {
+      if (expected.pop() !== ch) return -1;
+      if (expected.length === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Locate JSON objects/arrays embedded in a text line (e.g. after a log prefix).
+ * Returns [{ start, end }]; only objects, or arrays containing objects/arrays, qualify —
+ * "[0]"、"[1, 2]" 这类下标/数字列表在文本日志里太常见，按 JSON 处理只会打断文本规则。
+ */
+function findJsonSegments(text) {
+  const segments = [];
+  if (typeof text !== 'string') return segments;
+
+  let attempts = 0;
+  for (let i = 0; i < text.length && attempts < MAX_SEGMENT_ATTEMPTS; i++) {
+    const ch = text[i];
+    if (ch !== '{' && ch !== '[') continue;
+    const startRegex = ch === '{' ? OBJECT_START_REGEX : ARRAY_START_REGEX;
+    startRegex.lastIndex = i;
+    if (!startRegex.test(text)) continue;
+    attempts++;
+
+    const end = findBalancedEnd(text, i);
+    if (end === -1) continue;
+
+    const root = parseJsonSpans(text.slice(i, end));
+    const structured = root && (root.type === 'object'
+      || root.items.some((item) => item.type === 'object' || item.type === 'array'));
+    if (!structured) continue;
+
+    segments.push({ start: i, end });
+    i = end - 1;
+  }
+  return segments;
+}
+
+/**
+ * Apply non-overlapping { start, end, text } edits to a string in one pass
+ */
+function applyEdits(text, edits) {
+  if (!Array.isArray(edits) || edits.length === 0) return text;
+
+  const sorted = [...edits].sort((a, b) => a.start - b.start);
+  let result = '';
+  let last = 0;
+  for (const edit of sorted) {
+    if (edit.start < last) {
+      throw new Error(`Overlapping edit at ${edit.start}`);
+    }
+    result += text.slice(last, edit.start) + edit.text;
+    last = edit.end;
+  }
+  return result + text.slice(last);
+}
+
+module.exports = {
+  parseJsonSpans,
+  findJsonSegments,
+  applyEdits
+};
@@ -0,0 +1,119 @@
+/**
+ * Sensitive key name matching
+ *
+ * 键名先按 camelCase / kebab-case / SNAKE_CASE 拆成小写词（userPassword → user password，
+ * AWS_SECRET_ACCESS_KEY → aws secret access key），再与配置的键名比较：
+ * - 普通键名忽略分隔符，且可匹配按词对齐的后缀（password 命中 db_password / userPassword，
+ *   api_key 命中 x-api-key / stripeApiKey，但 key 不会命中 monkey）
+ * - 含 * / ? 的键名为通配符，匹配 snake_case 形式或去掉分隔符的形式（*_secret*、*password*）
+ * 白名单按同样规则匹配，命中则永不视为敏感（primary_key、sort_key 等）。
+ */
+
+// 匹配结果缓存上限：日志里的键名集合通常很小，超出说明键名本身是数据，清空重建
+const MATCH_CACHE_LIMIT = 10000;
+
+/**
+ * Split a key into lowercase words: camelCase、kebab-case、SNAKE_CASE、a.b 均可
+ */
+function splitKeyWords(key) {
+  return String(key)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Compile a glob (* / ?) against the snake_case form of a key
+ */
+function compileGlob(glob) {
+  // 通配符本身只统一大小写与分隔符，不拆 camelCase（*Secret* 与 *secret* 等价）
+  const source = glob
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}*?]+/gu, '_')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'u');
+}
+
+/**
+ * Compiled list of key names / globs: matches(key) tests one key
+ */
+class KeyMatcher {
+  constructor(keys = [], allowlist = []) {
+    this.keys = KeyMatcher.compile(keys);
+    this.allowlist = KeyMatcher.compile(allowlist);
+    this.cache = new Map();
+  }
+
+  /**
+   * Split entries into { names: Set<去分隔符的键名>, globs: RegExp[], literals: string[] | null }
+   */
+  static compile(entries) {
+    const names = new Set();
+    const globs = [];
+    // 每个键名都含有其一的字面量：普通键名取去分隔符的形式，通配符取最长的字面量片段（*_secret* → secret）。
+    // 有通配符没有字面量（如 *）或键名含有大小写之分的非 ASCII 字母时为 null
+    let literals = [];
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const text = String(entry).trim();
+      if (!text) continue;
+      if ([...text].some((ch) => ch.charCodeAt(0) >= 0x80 && ch.toLowerCase() !== ch.toUpperCase())) {
+        literals = null;
+      }
+      if (/[*?]/.test(text)) {
+        globs.push(compileGlob(text));
+        const longest = text.toLowerCase().split(/[^\p{L}\p{N}]+/u)
+          .reduce((best, piece) => (piece.length > best.length ? piece : best), '');
+        if (literals) literals = longest ? [...literals, longest] : null;
+      } else {
+        const compact = splitKeyWords(text).join('');
+        if (compact) names.add(compact);
+        if (compact && literals) literals.push(compact);
+      }
+    }
+    return { names, globs, literals: literals && [...new Set(literals)] };
+  }
+
+  static test({ names, globs }, words) {
+    // 按词对齐的后缀：aws secret access key → awssecretaccesskey / secretaccesskey / accesskey / key
+    for (let i = 0; i < words.length; i++) {
+      if (names.has(words.slice(i).join(''))) return true;
+    }
+    if (globs.length === 0) return false;
+    const snake = words.join('_');
+    const compact = words.join('');
+    return globs.some((glob) => glob.test(snake) || glob.test(compact));
+  }
+
+  /**
+   * Literals (lowercase, separators removed) of which every sensitive key contains one, or null.
+   * 行文本去掉分隔符后（ASCII 不分大小写）不含任何一个时，行内不可能有敏感键名
+   */
+  requiredLiterals() {
+    return this.keys.literals;
+  }
+
+  /**
+   * Whether a key is sensitive (and not allowlisted)
+   */
+  matches(key) {
+    const raw = String(key);
+    const cached = this.cache.get(raw);
+    if (cached !== undefined) return cached;
+
+    const words = splitKeyWords(raw);
+    const result = words.length > 0
+      && KeyMatcher.test(this.keys, words)
+      && !KeyMatcher.test(this.allowlist, words);
+
+    if (this.cache.size >= MATCH_CACHE_LIMIT) this.cache.clear();
+    this.cache.set(raw, result);
+    return result;
+  }
+}
+
+module.exports = {
+  KeyMatcher
+};
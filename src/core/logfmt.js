@@ -0,0 +1,121 @@
+/**
+ * Logfmt tokenizer with source spans
+ *
+ * Go 服务常见的 logfmt：level=info msg="user login" auth_token="abc def"。
+ * 通用 KV 正则的值遇空白即止，引号内带空格的值只能掩掉第一段；这里按 logfmt 语法切分，
+ * 记录每个值在原文中的位置与引号形态，脱敏时只改写值所在片段。
+ */
+
+// 行尾 logfmt 段至少包含的键值对数（单个 a=b 与普通文本 KV 无从区分，交给文本规则）
+const MIN_LOGFMT_PAIRS = 2;
+
+// logfmt 键名：不含空白、= 与引号
+const KEY_REGEX = /[^\s="]+/y;
+
+// 裸值不含引号（编码器会给含引号的值加引号）；单引号开头的多为 XML 属性等其他语法
+const BARE_VALUE_REGEX = /(?:[^\s"']\S*)?(?=\s|$)/y;
+const WORD_REGEX = /\S+/y;
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+
+/**
+ * Decode the body of a quoted logfmt value (between the quotes)
+ */
+function decodeQuoted(body) {
+  return body.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, esc) => {
+    if (esc.length === 5) return String.fromCharCode(parseInt(esc.slice(1), 16));
+    return ESCAPES[esc] ?? esc;
+  });
+}
+
+/**
+ * Encode a value as a quoted logfmt string (quotes included)
+ */
+function encodeQuoted(value) {
+  const body = String(value)
+    .replace(/[\\"]/g, '\\$&')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t');
+  return `"${body}"`;
+}
+
+/**
+ * Split a line into whitespace-separated tokens.
+ * pair: { type: 'pair', start, end, key, valueStart, valueEnd, quoted, value }（value 为解码后的值，
+ *       valueStart/valueEnd 含引号）；其他片段为 { type: 'word', start, end }
+ */
+function tokenizeLogfmt(text) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < text.length) {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+    if (pos >= text.length) break;
+
+    const start = pos;
+    KEY_REGEX.lastIndex = pos;
+    const keyMatch = KEY_REGEX.exec(text);
+
+    if (keyMatch && text[KEY_REGEX.lastIndex] === '=') {
+      const key = keyMatch[0];
+      const valueStart = KEY_REGEX.lastIndex + 1;
+
+      if (text[valueStart] === '"') {
+        // 引号值：跳过转义，找到闭合引号；未闭合时整段按普通文本处理
+        let i = valueStart + 1;
+        while (i < text.length && text[i] !== '"') {
+          i += text[i] === '\\' ? 2 : 1;
+        }
+        if (i < text.length && (i + 1 === text.length || /\s/.test(text[i + 1]))) {
+          tokens.push({
+            type: 'pair', start, end: i + 1, key, valueStart, valueEnd: i + 1,
+            quoted: true, value: decodeQuoted(text.slice(valueStart + 1, i))
+          });
+          pos = i + 1;
+          continue;
+        }
+      } else {
+        BARE_VALUE_REGEX.lastIndex = valueStart;
+        const bare = BARE_VALUE_REGEX.exec(text);
+        if (bare && !bare[0].includes('"')) {
+          tokens.push({
+            type: 'pair', start, end: BARE_VALUE_REGEX.lastIndex, key, valueStart,
+            valueEnd: BARE_VALUE_REGEX.lastIndex, quoted: false, value: bare[0]
+          });
+          pos = BARE_VALUE_REGEX.lastIndex;
+          continue;
+        }
+      }
+    }
+
+    WORD_REGEX.lastIndex = pos;
+    WORD_REGEX.exec(text);
+    tokens.push({ type: 'word', start, end: WORD_REGEX.lastIndex });
+    pos = WORD_REGEX.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Find the trailing logfmt run of a line (after an optional free-text prefix).
+ * Returns { start, pairs } or null when the line does not end in at least MIN_LOGFMT_PAIRS pairs.
+ */
+function findLogfmtPairs(text) {
+  if (typeof text !== 'string' || text.indexOf('=') === -1) return null;
+
+  const tokens = tokenizeLogfmt(text);
+  let first = tokens.length;
+  while (first > 0 && tokens[first - 1].type === 'pair') first--;
+
+  const pairs = tokens.slice(first);
+  if (pairs.length < MIN_LOGFMT_PAIRS) return null;
+  return { start: pairs[0].start, pairs };
+}
+
+module.exports = {
+  tokenizeLogfmt,
+  findLogfmtPairs,
+  encodeQuoted
+};
@@ -0,0 +1,265 @@
+/**
+ * Parallel scrubbing of one large file
+ *
+ * 文件按行边界切成字节区间，由 worker 线程（scrub-worker.js）各自读取、脱敏并编码，主线程按原顺序写出。
+ * 私钥块、MyBatis Preparing → Parameters 是跨行状态：各区间先按空状态处理，主线程按顺序核对——
+ * 上一区间结束时留下的状态确实影响本区间（块未闭合，或本区间首条 Preparing 之前就有 Parameters）时，
+ * 带上该状态重做本区间。这两种情况在区间边界上很少见，重做的代价可以忽略。
+ * 暂停与取消经共享内存里的控制字传给 worker，逐行检查，不必等当前区间处理完。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { PATTERNS } = require('./config');
+
+const WORKER_SCRIPT = path.join(__dirname, 'scrub-worker.js');
+
+// 换行符 0x0A 不会出现在多字节字符内部的编码，才能按字节找行边界（UTF-16 不行）
+const SPLITTABLE_ENCODINGS = new Set(['utf8', 'utf-8', 'ascii', 'latin1', 'binary', 'gbk', 'gb2312']);
+
+// 找行边界时每次读取的字节数
+const BOUNDARY_SCAN_SIZE = 64 * 1024;
+
+const EMPTY_CARRY = { keyBlock: null, sqlColumns: null };
+
+// worker 控制字（Int32Array 第 0 位）的取值
+const CONTROL_RUNNING = 0;
+const CONTROL_PAUSED = 1;
+const CONTROL_ABORTED = 2;
+
+/**
+ * Whether files in this encoding can be split at byte offsets of line feeds
+ */
+function canSplitEncoding(encoding) {
+  return SPLITTABLE_ENCODINGS.has(String(encoding).toLowerCase());
+}
+
+/**
+ * Split a file into byte ranges of about chunkSize that end right after a line feed.
+ * Returns [{ start, end }]（end 不含）；最后一个区间延伸到文件末尾
+ */
+async function findChunkRanges(filePath, size, chunkSize) {
+  const ranges = [];
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(BOUNDARY_SCAN_SIZE);
+    let start = 0;
+    while (start < size) {
+      let end = size;
+      let pos = start + chunkSize;
+      while (pos < size) {
+        const { bytesRead } = await handle.read(buffer, 0, BOUNDARY_SCAN_SIZE, pos);
+        if (bytesRead === 0) break;
+        const index = buffer.subarray(0, bytesRead).indexOf(0x0a);
+        if (index !== -1) {
+          end = pos + index + 1;
+          break;
+        }
+        pos += bytesRead;
+      }
+      ranges.push({ start, end });
+      start = end;
+    }
+  } finally {
+    await handle.close();
+  }
+  return ranges;
+}
+
+/**
+ * Scrubber options in a form that can be posted to a worker, or null when they cannot.
+ * 内置规则只传名称与开关（replacement / validate 是函数，到 worker 内按名称取回）；
+ * 其他带函数的规则无法传递，此时整个文件按单线程处理
+ */
+function toWorkerScrubberOptions(options) {
+  const builtins = new Map(PATTERNS.map((p) => [p.name, p]));
+  const result = { ...options };
+
+  if (Array.isArray(options.patterns)) {
+    const patterns = [];
+    for (const pattern of options.patterns) {
+      const builtin = pattern && builtins.get(pattern.name);
+      if (builtin && pattern.regex === builtin.regex
+        && pattern.replacement === builtin.replacement && pattern.validate === builtin.validate) {
+        patterns.push({ builtin: pattern.name, enabled: pattern.enabled });
+      } else if (pattern && (typeof pattern.replacement === 'function' || typeof pattern.validate === 'function')) {
+        return null;
+      } else {
+        patterns.push(pattern);
+      }
+    }
+    result.patterns = patterns;
+  }
+
+  try {
+    structuredClone(result);
+  } catch (error) {
+    return null;
+  }
+  return result;
+}
+
+/**
+ * Rebuild scrubber options received by a worker (see toWorkerScrubberOptions)
+ */
+function fromWorkerScrubberOptions(options) {
+  if (!Array.isArray(options.patterns)) return options;
+  const builtins = new Map(PATTERNS.map((p) => [p.name, p]));
+  return {
+    ...options,
+    patterns: options.patterns.map((pattern) => (
+      pattern && pattern.builtin ? { ...builtins.get(pattern.builtin), enabled: pattern.enabled } : pattern
+    ))
+  };
+}
+
+/**
+ * Whether a chunk scrubbed from an empty state has to be redone with the state carried over from the previous chunk
+ */
+function dependsOnCarry(run, carry) {
+  return Boolean(carry.keyBlock) || (Boolean(carry.sqlColumns) && run.usedCarriedSqlColumns);
+}
+
+/**
+ * State carried into the next chunk: 本区间没有 Preparing 时沿用上一区间的字段名
+ */
+function nextCarry(run, carry) {
+  return {
+    keyBlock: run.carry.keyBlock,
+    sqlColumns: run.sqlColumnsAssigned ? run.carry.sqlColumns : carry.sqlColumns
+  };
+}
+
+/**
+ * Called by a worker before each line: 暂停时阻塞到恢复，已取消时抛错结束当前区间
+ */
+function checkWorkerControl(control) {
+  let state = Atomics.load(control, 0);
+  while (state === CONTROL_PAUSED) {
+    Atomics.wait(control, 0, CONTROL_PAUSED);
+    state = Atomics.load(control, 0);
+  }
+  if (state === CONTROL_ABORTED) {
+    throw new Error('处理已取消');
+  }
+}
+
+/**
+ * Fixed-size pool of scrub workers: run(task) resolves with the worker's result for one chunk
+ */
+class WorkerPool {
+  constructor(size, workerData) {
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map();
+    this.workers = [];
+    this.destroyed = false;
+    this.nextId = 0;
+    // 所有 worker 共享的控制字：暂停 / 取消在 worker 的逐行循环内生效
+    this.control = new Int32Array(new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT));
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(WORKER_SCRIPT, { workerData: { ...workerData, control: this.control } });
+      worker.on('message', ({ id, result, error }) => {
+        const task = this.tasks.get(id);
+        this.tasks.delete(id);
+        this.release(worker);
+        if (!task) return;
+        if (error) task.reject(new Error(error));
+        else task.resolve(result);
+      });
+      worker.on('error', (error) => this.fail(worker, error));
+      worker.on('exit', () => this.fail(worker, new Error('脱敏线程已退出')));
+      this.workers.push(worker);
+      this.idle.push(worker);
+    }
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      if (this.destroyed) {
+        reject(new Error('脱敏线程已关闭'));
+        return;
+      }
+      this.queue.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      const entry = this.queue.shift();
+      const id = this.nextId++;
+      this.tasks.set(id, { ...entry, worker });
+      worker.postMessage({ id, ...entry.task });
+    }
+  }
+
+  release(worker) {
+    if (this.destroyed || !this.workers.includes(worker)) return;
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  /**
+   * A worker crashed or exited: 它手上的任务失败，且不再接收新任务
+   */
+  fail(worker, error) {
+    this.workers = this.workers.filter((w) => w !== worker);
+    this.idle = this.idle.filter((w) => w !== worker);
+    for (const [id, task] of this.tasks) {
+      if (task.worker === worker) {
+        this.tasks.delete(id);
+        task.reject(error);
+      }
+    }
+    if (this.workers.length === 0) {
+      for (const entry of this.queue.splice(0)) entry.reject(error);
+    }
+  }
+
+  pause() {
+    this.setControl(CONTROL_PAUSED);
+  }
+
+  resume() {
+    this.setControl(CONTROL_RUNNING);
+  }
+
+  setControl(state) {
+    if (Atomics.load(this.control, 0) === CONTROL_ABORTED) return;
+    Atomics.store(this.control, 0, state);
+    Atomics.notify(this.control, 0);
+  }
+
+  /**
+   * Terminate all workers; pending and queued tasks are rejected
+   */
+  async destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+    // 先让仍在处理（或暂停阻塞中）的 worker 尽快停下
+    this.setControl(CONTROL_ABORTED);
+    const error = new Error('脱敏线程已关闭');
+    for (const entry of this.queue.splice(0)) entry.reject(error);
+    for (const task of this.tasks.values()) task.reject(error);
+    this.tasks.clear();
+    await Promise.all(this.workers.map((worker) => worker.terminate()));
+    this.workers = [];
+    this.idle = [];
+  }
+}
+
+module.exports = {
+  EMPTY_CARRY,
+  canSplitEncoding,
+  findChunkRanges,
+  toWorkerScrubberOptions,
+  fromWorkerScrubberOptions,
+  dependsOnCarry,
+  nextCarry,
+  checkWorkerControl,
+  WorkerPool
+};
@@ -4,12 +4,25 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const readline = require('readline');
 const { once } = require('events');
 const { promisify } = require('util');
 const iconv = require('iconv-lite');
 const LogScrubber = require('./scrubber');
 const { DEFAULT_OPTIONS } = require('./config');
+const { VAULT_SUFFIX, writeVaultFile, addVaultEntries } = require('./vault');
+const { resolveCsvDelimiter } = require('./csv');
+const { describeRulePacks } = require('./rule-packs');
+const {
+  EMPTY_CARRY,
+  canSplitEncoding,
+  findChunkRanges,
+  toWorkerScrubberOptions,
+  dependsOnCarry,
+  nextCarry,
+  WorkerPool
+} = require('./parallel');
 
 const stat = promisify(fs.stat);
 const access = promisify(fs.access);
@@ -48,6 +61,19 @@ function isAbortError(error) {
   return Boolean(error) && (error.name === 'AbortError' || error.code === 'ABORT_ERR');
 }
 
+/**
+ * Add one scrubber's statistics to a running total
+ */
+function addStats(total, stats) {
+  total.totalLines += stats.totalLines;
+  total.maskedLines += stats.maskedLines;
+  total.errors += stats.errors;
+  total.timeouts += stats.timeouts || 0;
+  for (const [pattern, count] of Object.entries(stats.patternMatches)) {
+    total.patternMatches[pattern] = (total.patternMatches[pattern] || 0) + count;
+  }
+}
+
 /**
  * 等待 drain 事件，支持中止信号
  */
@@ -162,7 +188,35 @@ class FileProcessor {
       ? options.scrubberOptions
       : {};
 
-    this.scrubber = new LogScrubber(scrubberOptions);
+    // 保险库口令非空即启用保险库：scrubber 需逐行记录 令牌 → 原值
+    this.vaultPassword = typeof options.vaultPassword === 'string' ? options.vaultPassword : '';
+
+    // 每个文件使用独立的 scrubber（见 createScrubber），假名密钥需在此统一生成，
+    // 否则未提供密钥时各文件随机密钥不同，同一批次跨文件同值不再同令牌
+    this.scrubberOptions = {
+      ...scrubberOptions,
+      pseudonymSecret: (typeof scrubberOptions.pseudonymSecret === 'string' && scrubberOptions.pseudonymSecret)
+        ? scrubberOptions.pseudonymSecret
+        : crypto.randomBytes(32).toString('hex'),
+      recordReplacements: !!this.vaultPassword
+    };
+
+    // 所选合规规则包的名称，记录在每个文件的结果与汇总报告中（审计时回答"按哪套策略脱敏"）
+    this.rulePackNames = describeRulePacks(scrubberOptions.rulePacks);
+
+    // 已分配给并行处理的 worker 线程数：processFiles 并发处理多个大文件时合计不超过 concurrency
+    this.workerThreadsInUse = 0;
+  }
+
+  /**
+   * Create a scrubber for one file.
+   * scrubber 带跨行状态（如 MyBatis Preparing → Parameters、CSV 表头）与逐文件统计，
+   * 并发处理多个文件时共用一个实例会相互串扰。
+   * CSV / TSV 文件（按 csvMode 与扩展名判断）带上分隔符，按列处理。
+   */
+  createScrubber(inputPath = null) {
+    const csvDelimiter = resolveCsvDelimiter(this.options.csvMode, inputPath);
+    return new LogScrubber(csvDelimiter ? { ...this.scrubberOptions, csvDelimiter } : this.scrubberOptions);
   }
 
   /**
@@ -286,18 +340,22 @@ class FileProcessor {
     const result = {
       inputPath,
       outputPath: null,
+      vaultPath: null,
       success: false,
       cancelled: false,
       error: null,
       stats: null,
+      rulePacks: this.rulePackNames,
       processingTime: 0
     };
 
     let abortHandler = null;
     let unbindPause = null;
+    let workerThreads = 0;
     let streamErrorHandlers = null;
     let tempPath = null;
     let tempFileCreated = false;
+    let fileWriteStream = null;
 
     try {
       throwIfAborted(signal);
@@ -321,8 +379,7 @@ class FileProcessor {
       // 使用临时文件策略：先写入临时文件，成功后原子重命名
       tempPath = outputPath + '.tmp.' + process.pid + '.' + Date.now();
 
-      // Reset scrubber statistics
-      this.scrubber.resetStats();
+      const scrubber = this.createScrubber(inputPath);
 
       // Resolve encoding (Node 原生 + iconv-lite)
       const requestedEncoding = typeof this.options.encoding === 'string'
@@ -338,13 +395,50 @@ class FileProcessor {
         throw new Error(`Unsupported encoding: ${requestedEncoding}`);
       }
 
+      // Preserve original line endings if requested
+      const lineEnding = this.options.preserveLineEndings
+        ? (process.platform === 'win32' ? '\r\n' : '\n')
+        : '\n';
+
+      // 大文件按行切成区间，交给 worker 线程并行处理；其他文件已占满线程时按单线程处理
+      const workerScrubberOptions = this.planParallelRun(validation.size, normalizedEncoding, scrubber);
+      workerThreads = workerScrubberOptions
+        ? this.reserveWorkerThreads(Math.ceil(validation.size / this.options.parallelChunkSize))
+        : 0;
+      if (workerThreads > 0) {
+        fileWriteStream = fs.createWriteStream(tempPath);
+        tempFileCreated = true;
+        // 写入错误记在 errored 上，由 scrubInWorkers 在下一次写入前抛出
+        fileWriteStream.on('error', (err) => console.warn('[stream error]', err.message));
+
+        const run = await this.scrubInWorkers(inputPath, fileWriteStream, {
+          size: validation.size,
+          threads: workerThreads,
+          scrubberOptions: workerScrubberOptions,
+          encoding: normalizedEncoding,
+          lineEnding,
+          signal,
+          pauseController
+        });
+        if (fileWriteStream.errored) throw fileWriteStream.errored;
+        fileWriteStream.end();
+        await waitForFinishOrError(fileWriteStream, { signal });
+        throwIfAborted(signal);
+
+        result.vaultPath = this.commitOutput(tempPath, outputPath, run.vaultEntries);
+        result.success = true;
+        result.stats = run.stats;
+        result.processingTime = Date.now() - startTime;
+        return result;
+      }
+
       // Create streams - write to temporary file
       const fileReadStream = fs.createReadStream(inputPath, {
         highWaterMark: this.options.highWaterMark,
         ...(useNativeEncoding ? { encoding: normalizedEncoding } : {})
       });
 
-      const fileWriteStream = fs.createWriteStream(
+      fileWriteStream = fs.createWriteStream(
         tempPath,
         useNativeEncoding ? { encoding: normalizedEncoding } : {}
       );
@@ -416,10 +510,11 @@ class FileProcessor {
         }
       }
 
-      // Preserve original line endings if requested
-      const lineEnding = this.options.preserveLineEndings
-        ? (process.platform === 'win32' ? '\r\n' : '\n')
-        : '\n';
+      // 保险库模式：汇总本文件所有行的 令牌 → 原值
+      const vaultEntries = this.vaultPassword ? new Map() : null;
+
+      // 已关闭的 readline 不会再发 'close'，在此之前取消时 for await 会永久挂起
+      throwIfAborted(signal);
 
       // Process line by line with backpressure handling
       let lineNumber = 0;
@@ -433,11 +528,18 @@ class FileProcessor {
         lineNumber++;
         let processResult;
         try {
-          processResult = this.scrubber.processLine(line);
+          processResult = scrubber.processLine(line);
         } catch (lineError) {
           console.error(`Error on line ${lineNumber}:`, lineError.message, lineError.stack);
           throw lineError; // Re-throw to stop processing
         }
+        if (vaultEntries && processResult.replacements) {
+          addVaultEntries(vaultEntries, processResult.replacements);
+        }
+        // 多行私钥块内的行被吸收（masked 为 null），整块在结束行折叠输出
+        if (processResult.masked === null) {
+          continue;
+        }
         const chunk = processResult.masked + lineEnding;
 
         // Handle backpressure with abort support
@@ -448,6 +550,17 @@ class FileProcessor {
         }
       }
 
+      // 文件末尾仍未闭合的私钥块：补发折叠行（块内容已被吸收，不能丢弃不写）
+      const tail = scrubber.flush();
+      if (tail) {
+        if (vaultEntries && tail.replacements) {
+          addVaultEntries(vaultEntries, tail.replacements);
+        }
+        if (!writer.write(tail.masked + lineEnding)) {
+          await waitForDrain(writer, signal);
+        }
+      }
+
       // Close write stream and wait for completion
       // 使用更安全的收尾等待逻辑
 
@@ -462,26 +575,19 @@ class FileProcessor {
       const errorStreams = [fileReadStream, inputStream, encoder].filter(Boolean);
       await waitForFinishOrError(fileWriteStream, { signal, errorStreams });
 
-      // 成功：将临时文件重命名为最终输出文件
-      if (tempFileCreated) {
-        try {
-          // 检查最终目标是否已存在（可能来自之前的运行），先删除
-          if (fs.existsSync(outputPath)) {
-            fs.unlinkSync(outputPath);
-          }
-          fs.renameSync(tempPath, outputPath);
-        } catch (renameError) {
-          console.error(`Failed to rename temp file: ${renameError.message}`);
-          throw new Error('Failed to save output file');
-        }
-      }
-
+      result.vaultPath = this.commitOutput(tempPath, outputPath, vaultEntries);
       result.success = true;
-      result.stats = this.scrubber.getStats();
+      result.stats = scrubber.getStats();
       result.processingTime = Date.now() - startTime;
 
     } catch (error) {
-      // 失败：清理临时文件
+      // 失败：等写入流关闭后再清理临时文件（文件是异步打开的，过早删除后仍会被创建出来）
+      if (fileWriteStream && !fileWriteStream.closed) {
+        await new Promise((resolve) => {
+          fileWriteStream.once('close', resolve);
+          fileWriteStream.destroy();
+        });
+      }
       if (tempFileCreated && fs.existsSync(tempPath)) {
         try {
           fs.unlinkSync(tempPath);
@@ -498,6 +604,7 @@ class FileProcessor {
         console.error(`Error processing file ${inputPath}: ${result.error}`, error?.stack);
       }
     } finally {
+      this.workerThreadsInUse -= workerThreads;
       // 清理绑定
       if (typeof unbindPause === 'function') {
         try {
@@ -522,6 +629,129 @@ class FileProcessor {
     return result;
   }
 
+  /**
+   * Scrubber options to hand to worker threads when a file should be processed in parallel, otherwise null.
+   * 小于 parallelThreshold 的文件、CSV 文件（表头与跨行记录贯穿全文件）、无法按字节找行边界的编码
+   * 以及带自定义函数的规则都按单线程处理
+   */
+  planParallelRun(size, encoding, scrubber) {
+    const { parallelThreshold, concurrency } = this.options;
+    if (!(size > 0 && size >= parallelThreshold) || !(concurrency >= 2)) return null;
+    if (scrubber.csvDelimiter || !canSplitEncoding(encoding)) return null;
+    return toWorkerScrubberOptions(this.scrubberOptions);
+  }
+
+  /**
+   * Reserve up to wanted worker threads for one file from the batch-wide budget (concurrency).
+   * Returns the number reserved, or 0 when fewer than two are free（一个线程不如直接在主线程处理）
+   */
+  reserveWorkerThreads(wanted) {
+    const count = Math.min(wanted, this.options.concurrency - this.workerThreadsInUse);
+    if (count < 2) return 0;
+    this.workerThreadsInUse += count;
+    return count;
+  }
+
+  /**
+   * Scrub a file in line-aligned byte ranges on a pool of worker threads and write the results in order.
+   * 同时在途的区间数有上限（线程数的两倍），内存占用与文件大小无关；暂停与取消经 WorkerPool 的控制字
+   * 在 worker 内逐行生效。
+   * Returns { stats, vaultEntries }
+   */
+  async scrubInWorkers(inputPath, writer, { size, threads, scrubberOptions, encoding, lineEnding, signal, pauseController }) {
+    const ranges = await findChunkRanges(inputPath, size, this.options.parallelChunkSize);
+    const poolSize = Math.min(threads, ranges.length);
+    const pool = new WorkerPool(poolSize, {
+      scrubberOptions,
+      encoding,
+      lineEnding
+    });
+    const destroyPool = () => { pool.destroy(); };
+    if (signal) signal.addEventListener('abort', destroyPool, { once: true });
+    // 暂停控制器按 pause() / resume() 驱动绑定对象（与 readline 相同的接口）
+    const unbindPause = pauseController && typeof pauseController.bindReadline === 'function'
+      ? pauseController.bindReadline(pool)
+      : null;
+
+    const runRange = (index, carry) => pool.run({
+      filePath: inputPath,
+      ...ranges[index],
+      carry,
+      final: index === ranges.length - 1
+    });
+
+    const stats = { totalLines: 0, maskedLines: 0, errors: 0, timeouts: 0, patternMatches: {} };
+    const vaultEntries = this.vaultPassword ? new Map() : null;
+    const inFlight = new Map();
+    const maxInFlight = poolSize * 2;
+    let dispatched = 0;
+    let carry = EMPTY_CARRY;
+
+    try {
+      for (let index = 0; index < ranges.length; index++) {
+        if (pauseController && typeof pauseController.waitIfPaused === 'function') {
+          await pauseController.waitIfPaused(signal);
+        }
+        throwIfAborted(signal);
+
+        // 各区间先按空的跨行状态处理
+        while (dispatched < ranges.length && dispatched < index + maxInFlight) {
+          const promise = runRange(dispatched, null);
+          promise.catch(() => {}); // 中途失败时后续区间的结果无人等待
+          inFlight.set(dispatched, promise);
+          dispatched++;
+        }
+
+        let run = await inFlight.get(index);
+        inFlight.delete(index);
+        if (dependsOnCarry(run, carry)) {
+          run = await runRange(index, carry);
+        }
+        carry = nextCarry(run, carry);
+
+        addStats(stats, run.stats);
+        if (vaultEntries) addVaultEntries(vaultEntries, run.replacements);
+
+        throwIfAborted(signal);
+        if (writer.errored) throw writer.errored;
+        if (!writer.write(run.output)) {
+          await waitForDrain(writer, signal);
+        }
+      }
+    } finally {
+      if (signal) signal.removeEventListener('abort', destroyPool);
+      if (typeof unbindPause === 'function') unbindPause();
+      await pool.destroy();
+    }
+
+    return { stats, vaultEntries };
+  }
+
+  /**
+   * Write the vault (if any), then move the temp output into place. Returns the vault path or null
+   */
+  commitOutput(tempPath, outputPath, vaultEntries) {
+    // 先写保险库再落盘输出：保险库写失败时整体失败，不留下无法还原的输出
+    let vaultPath = null;
+    if (vaultEntries) {
+      vaultPath = outputPath + VAULT_SUFFIX;
+      writeVaultFile(vaultPath, vaultEntries, this.vaultPassword);
+    }
+
+    // 成功：将临时文件重命名为最终输出文件
+    try {
+      // 检查最终目标是否已存在（可能来自之前的运行），先删除
+      if (fs.existsSync(outputPath)) {
+        fs.unlinkSync(outputPath);
+      }
+      fs.renameSync(tempPath, outputPath);
+    } catch (renameError) {
+      console.error(`Failed to rename temp file: ${renameError.message}`);
+      throw new Error('Failed to save output file');
+    }
+    return vaultPath;
+  }
+
   /**
    * Process multiple files with concurrency control
    */
@@ -549,6 +779,7 @@ class FileProcessor {
           ? {
               inputPath,
               outputPath: null,
+              vaultPath: null,
               success: false,
               cancelled: true,
               error: '已取消',
@@ -558,6 +789,7 @@ class FileProcessor {
           : {
               inputPath,
               outputPath: null,
+              vaultPath: null,
               success: false,
               cancelled: false,
               error: message,
@@ -587,6 +819,7 @@ class FileProcessor {
       totalLines: 0,
       maskedLines: 0,
       errors: 0,
+      timeouts: 0,
       patternMatches: {}
     };
 
@@ -596,6 +829,7 @@ class FileProcessor {
         totalStats.totalLines += result.stats.totalLines;
         totalStats.maskedLines += result.stats.maskedLines;
         totalStats.errors += result.stats.errors;
+        totalStats.timeouts += result.stats.timeouts || 0;
 
         for (const [pattern, count] of Object.entries(result.stats.patternMatches)) {
           totalStats.patternMatches[pattern] =
@@ -611,10 +845,14 @@ class FileProcessor {
     report += `Files processed: ${results.length}\n`;
     report += `  Successful: ${successful.length}\n`;
     report += `  Failed: ${failed.length}\n`;
+    if (this.rulePackNames.length > 0) {
+      report += `Rule packs: ${this.rulePackNames.join(', ')}\n`;
+    }
     report += `\nOverall Statistics:\n`;
     report += `  Total lines: ${totalStats.totalLines.toLocaleString()}\n`;
     report += `  Lines masked: ${totalStats.maskedLines.toLocaleString()}\n`;
     report += `  Processing errors: ${totalStats.errors}\n`;
+    report += `  Line timeouts: ${totalStats.timeouts}\n`;
     report += `  Average processing time: ${avgTime.toFixed(2)}ms\n`;
 
     if (Object.keys(totalStats.patternMatches).length > 0) {
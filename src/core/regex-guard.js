@@ -0,0 +1,302 @@
+/**
+ * Rule execution guard (ReDoS)
+ *
+ * JS 正则一旦开始回溯就无法从外部打断，只能从三处设防：
+ * - 加载规则时静态检查灾难性回溯的形态：(a+)+、(\w+\s?)*、(a|ab)*、(\s*,\s*)* 这类
+ *   重复的分组（含 {1,30} 这样的有界重复）内还有可变长度的部分，且没有能把各轮重复隔开的分隔字符，
+ *   或上一轮结尾与下一轮开头的可变部分能匹配相同的字符
+ * - 超长行按有界的片段执行正则规则，多项式级回溯（.*x.* 之类）的代价随片段长度封顶
+ * - 单行时间预算：各检测步骤之间检查耗时，超时的行整行替换（fail-closed）并计入 timeouts
+ */
+
+// 判断字符集是否相交时试探的字符：可打印 ASCII、制表符与常见非 ASCII 字符
+const PROBE_CHARS = [
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  '\t', '\n', 'é', '中', '，'
+];
+
+const atomCharsCache = new Map();
+
+/**
+ * Parse a regex source into alternatives of nodes:
+ *   atom  { type: 'atom', source, quant, zeroWidth?, backref? }
+ *   group { type: 'group', alternatives, quant, zeroWidth? }
+ * quant 为 { min, max }（max 可为 Infinity）或 null。源码须已能编译，不做语法报错
+ */
+function parseRegexSource(source) {
+  let pos = 0;
+
+  const parseQuantifier = () => {
+    const match = /^(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/.exec(source.slice(pos));
+    if (!match) return null;
+    pos += match[0].length;
+    if (match[1]) {
+      return { min: match[1] === '+' ? 1 : 0, max: match[1] === '?' ? 1 : Infinity };
+    }
+    const min = Number(match[2]);
+    const max = match[3] ? (match[4] ? Number(match[4]) : Infinity) : min;
+    return { min, max };
+  };
+
+  const parseAlternatives = () => {
+    const alternatives = [[]];
+    while (pos < source.length && source[pos] !== ')') {
+      const ch = source[pos];
+      let node;
+
+      if (ch === '|') {
+        alternatives.push([]);
+        pos++;
+        continue;
+      }
+
+      if (ch === '(') {
+        pos++;
+        let zeroWidth = false;
+        if (source.startsWith('?:', pos)) {
+          pos += 2;
+        } else if (/^\?<?[=!]/.test(source.slice(pos, pos + 3))) {
+          zeroWidth = true;
+          pos += source[pos + 1] === '<' ? 3 : 2;
+        } else if (source.startsWith('?<', pos)) {
+          pos = source.indexOf('>', pos) + 1;
+        }
+        const body = parseAlternatives();
+        pos++; // ')'
+        node = { type: 'group', alternatives: body, zeroWidth };
+      } else if (ch === '[') {
+        let end = pos + 1;
+        while (end < source.length && source[end] !== ']') {
+          if (source[end] === '\\') end++;
+          end++;
+        }
+        node = { type: 'atom', source: source.slice(pos, end + 1) };
+        pos = end + 1;
+      } else if (ch === '\\') {
+        const token = /^\\(?:u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[A-Za-z]|[pP]\{[^}]*\}|k<[^>]*>|[1-9]\d*|[\s\S])/
+          .exec(source.slice(pos))[0];
+        node = {
+          type: 'atom',
+          source: token,
+          zeroWidth: token === '\\b' || token === '\\B',
+          backref: /^\\(?:[1-9]|k<)/.test(token)
+        };
+        pos += token.length;
+      } else {
+        node = { type: 'atom', source: ch, zeroWidth: ch === '^' || ch === '$' };
+        pos++;
+      }
+
+      node.quant = parseQuantifier();
+      alternatives[alternatives.length - 1].push(node);
+    }
+    return alternatives;
+  };
+
+  return parseAlternatives();
+}
+
+/**
+ * Probe characters an atom can match（反向引用视为可匹配任意字符）
+ */
+function atomChars(node, flags) {
+  if (node.backref) return PROBE_CHARS;
+  const cacheKey = `${flags}/${node.source}`;
+  let chars = atomCharsCache.get(cacheKey);
+  if (!chars) {
+    try {
+      const regex = new RegExp(`^(?:${node.source})$`, flags);
+      chars = PROBE_CHARS.filter((ch) => regex.test(ch));
+    } catch (error) {
+      chars = PROBE_CHARS;
+    }
+    atomCharsCache.set(cacheKey, chars);
+  }
+  return chars;
+}
+
+/**
+ * Union of probe characters any atom inside a node can match
+ */
+function nodeChars(node, flags) {
+  if (node.zeroWidth) return [];
+  if (node.type === 'atom') return atomChars(node, flags);
+  const chars = new Set();
+  for (const alternative of node.alternatives) {
+    for (const child of alternative) {
+      for (const ch of nodeChars(child, flags)) chars.add(ch);
+    }
+  }
+  return [...chars];
+}
+
+const overlaps = (a, b) => a.some((ch) => b.includes(ch));
+
+// 可变长度：重复次数不固定且可多于一次（{4} 这类定长重复没有歧义）
+const isVariable = (quant) => Boolean(quant) && quant.max > 1 && quant.max > quant.min;
+
+/**
+ * Variable-length nodes of an alternative, looking into non-repeated sub-groups
+ */
+function variableNodes(alternative) {
+  const result = [];
+  for (const node of alternative) {
+    if (node.zeroWidth) continue;
+    if (isVariable(node.quant)) {
+      result.push(node);
+    } else if (node.type === 'group') {
+      for (const child of node.alternatives) result.push(...variableNodes(child));
+    }
+  }
+  return result;
+}
+
+// 可伸缩：匹配的次数不固定（含 ? 这类可省略的单个字符）
+const isFlexible = (quant) => Boolean(quant) && quant.max > quant.min;
+
+/**
+ * Characters of the flexible nodes at one end of an alternative, up to the first node that must match.
+ * fromEnd 为 true 时从末尾往前看。相邻两轮重复的结尾与开头都有可伸缩部分且字符相交时，
+ * 两轮之间的字符可任意划分，每轮重复的走法相乘
+ */
+function edgeFlexibleChars(alternative, flags, fromEnd) {
+  const chars = new Set();
+  const nodes = fromEnd ? [...alternative].reverse() : alternative;
+  for (const node of nodes) {
+    if (node.zeroWidth) continue;
+    if (isFlexible(node.quant)) {
+      for (const ch of nodeChars(node, flags)) chars.add(ch);
+      if (node.quant.min === 0) continue;
+    } else if (node.type === 'group' && !node.quant) {
+      for (const child of node.alternatives) {
+        for (const ch of edgeFlexibleChars(child, flags, fromEnd)) chars.add(ch);
+      }
+    }
+    break;
+  }
+  return [...chars];
+}
+
+/**
+ * Characters an alternative can start with（跳过零宽与可省略的前缀）
+ */
+function firstChars(alternative, flags) {
+  const chars = new Set();
+  for (const node of alternative) {
+    if (node.zeroWidth) continue;
+    for (const ch of nodeChars(node, flags)) chars.add(ch);
+    if (!node.quant || node.quant.min > 0) break;
+  }
+  return [...chars];
+}
+
+/**
+ * Check one repeated group (max > 1). Returns a reason or null
+ */
+function checkRepeatedGroup(group, flags) {
+  // 各分支能以同一字符开头时，每轮重复都有多种走法：(a|ab)*、(\w|\d)+
+  const starts = group.alternatives.map((alternative) => firstChars(alternative, flags));
+  for (let i = 0; i < starts.length; i++) {
+    for (let j = i + 1; j < starts.length; j++) {
+      if (overlaps(starts[i], starts[j])) {
+        return '重复的分组中多个分支可匹配相同的开头字符';
+      }
+    }
+  }
+
+  // 分组内的可变长度部分与下一轮重复之间没有隔开它们的必选字符：(a+)+、(\w+\s?)*
+  for (const alternative of group.alternatives) {
+    const delimiters = alternative
+      .filter((node) => node.type === 'atom' && !node.zeroWidth && (!node.quant || node.quant.min > 0))
+      .map((node) => atomChars(node, flags));
+    for (const node of variableNodes(alternative)) {
+      const chars = nodeChars(node, flags);
+      if (!delimiters.some((delimiter) => !overlaps(delimiter, chars))) {
+        return `嵌套量词：重复的分组内含可变长度的 ${node.type === 'atom' ? node.source + '（带量词）' : '子分组'}`;
+      }
+    }
+  }
+
+  // 上一轮的结尾与下一轮的开头都可伸缩且能匹配相同字符：(\s*,\s*)*、(\s?,\s?)+
+  const leading = group.alternatives.flatMap((alternative) => edgeFlexibleChars(alternative, flags, false));
+  const trailing = group.alternatives.flatMap((alternative) => edgeFlexibleChars(alternative, flags, true));
+  if (overlaps(trailing, leading)) {
+    return '重复的分组中相邻两轮首尾的可变长度部分可匹配相同字符';
+  }
+
+  return null;
+}
+
+function findUnsafeNode(alternatives, flags) {
+  for (const alternative of alternatives) {
+    for (const node of alternative) {
+      if (node.type !== 'group') continue;
+      // 有界重复同样检查：(a{1,30}){1,30} 的走法数随次数指数增长，远在上界之前就已卡死
+      if (!node.zeroWidth && node.quant && node.quant.max > 1) {
+        const reason = checkRepeatedGroup(node, flags);
+        if (reason) return reason;
+      }
+      const reason = findUnsafeNode(node.alternatives, flags);
+      if (reason) return reason;
+    }
+  }
+  return null;
+}
+
+/**
+ * Static check for catastrophic backtracking.
+ * Returns a reason string when the regex looks exponential, or null
+ */
+function findUnsafeRegexReason(regex) {
+  const flags = regex.flags.replace(/[gy]/g, '');
+  return findUnsafeNode(parseRegexSource(regex.source), flags);
+}
+
+/**
+ * Split a long line into pieces of at most maxLength characters.
+ * 尽量在片段后半部分的最后一个空白或分隔符处切开，避免截断单个值；找不到时硬切。
+ * Returns [{ start, text }]
+ */
+function splitLongLine(line, maxLength) {
+  const chunks = [];
+  let start = 0;
+  while (line.length - start > maxLength) {
+    const window = line.slice(start, start + maxLength);
+    let cut = -1;
+    for (let i = window.length - 1; i >= maxLength / 2; i--) {
+      if (/[\s,;&|]/.test(window[i])) {
+        cut = i + 1;
+        break;
+      }
+    }
+    const end = start + (cut === -1 ? maxLength : cut);
+    chunks.push({ start, text: line.slice(start, end) });
+    start = end;
+  }
+  chunks.push({ start, text: line.slice(start) });
+  return chunks;
+}
+
+/**
+ * 创建单行超时错误
+ */
+function createLineTimeoutError(budgetMs) {
+  const error = new Error(`单行处理超时（超过 ${budgetMs}ms）`);
+  error.code = 'LINE_TIMEOUT';
+  return error;
+}
+
+/**
+ * 检查是否为单行超时错误
+ */
+function isLineTimeoutError(error) {
+  return Boolean(error) && error.code === 'LINE_TIMEOUT';
+}
+
+module.exports = {
+  parseRegexSource,
+  findUnsafeRegexReason,
+  splitLongLine,
+  createLineTimeoutError,
+  isLineTimeoutError
+};
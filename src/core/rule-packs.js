@@ -0,0 +1,88 @@
+/**
+ * Compliance rule packs (see RULE_PACKS in config.js)
+ *
+ * 规则包只在创建 LogScrubber 时展开：强制启用包内规则、追加敏感键名、为规则换上包指定的掩码方式。
+ * 配置与请求里只保存规则包 id，因此可以原样传给并行处理的 worker，规则定义更新后旧配置也随之生效。
+ */
+
+const { RULE_PACKS } = require('./config');
+const { truncateIp } = require('./access-log');
+
+/**
+ * Named mask styles a rule pack can assign to a rule (replacement callbacks, match first)
+ */
+const PACK_MASKS = {
+  // 卡号只保留前 6 位（BIN）与后 4 位，分隔符原样保留
+  pan_truncated: (match) => {
+    const total = (match.match(/\d/g) || []).length;
+    let index = 0;
+    return match.replace(/\d/g, (digit) => {
+      index++;
+      return index <= 6 || index > total - 4 ? digit : '*';
+    });
+  },
+  // IPv4 截断到 /24（与访问日志的 truncate_ip 相同）
+  ip_truncated: (match) => truncateIp(match)
+};
+
+const PACKS_BY_ID = new Map(RULE_PACKS.map((pack) => [pack.id, pack]));
+
+/**
+ * Known pack ids from user input, deduplicated in input order; unknown ids are dropped with a warning
+ */
+function normalizeRulePacks(ids) {
+  if (!Array.isArray(ids)) return [];
+  const result = [];
+  for (const id of ids) {
+    if (!PACKS_BY_ID.has(id)) {
+      console.warn('Unknown rule pack:', id);
+      continue;
+    }
+    if (!result.includes(id)) result.push(id);
+  }
+  return result;
+}
+
+/**
+ * Display names of the given packs, for processing summaries
+ */
+function describeRulePacks(ids) {
+  return normalizeRulePacks(ids).map((id) => PACKS_BY_ID.get(id).name);
+}
+
+/**
+ * Expand packs into { patterns, sensitiveKeys }: patterns 为启用并换好掩码方式后的规则副本（原数组不变），
+ * sensitiveKeys 为各包追加的键名
+ */
+function applyRulePacks(patterns, ids) {
+  const packs = normalizeRulePacks(ids).map((id) => PACKS_BY_ID.get(id));
+  if (packs.length === 0) return { patterns, sensitiveKeys: [] };
+
+  // 规则名 → 启用它的各包给出的掩码方式（未指定为 null）；不一致时不换掩码
+  const masksByRule = new Map();
+  for (const pack of packs) {
+    for (const name of pack.patterns) {
+      if (!masksByRule.has(name)) masksByRule.set(name, new Set());
+      masksByRule.get(name).add(pack.masks[name] || null);
+    }
+  }
+
+  return {
+    patterns: patterns.map((pattern) => {
+      const masks = pattern && masksByRule.get(pattern.name);
+      if (!masks) return pattern;
+      const [mask] = masks;
+      return masks.size === 1 && mask
+        ? { ...pattern, enabled: true, replacement: PACK_MASKS[mask] }
+        : { ...pattern, enabled: true };
+    }),
+    sensitiveKeys: packs.flatMap((pack) => pack.sensitiveKeys)
+  };
+}
+
+module.exports = {
+  PACK_MASKS,
+  normalizeRulePacks,
+  describeRulePacks,
+  applyRulePacks
+};
@@ -0,0 +1,281 @@
+/**
+ * Precompiled rule set with a literal prefilter
+ *
+ * LogScrubber 构造时把启用的正则规则编译一次，并为每条规则提取"任何命中都必须包含"的字面量
+ * （sk-、AKIA、@、地址 …）。所有字面量放进一个 Aho-Corasick 自动机，每行只扫描一遍即可知道
+ * 哪些规则可能命中，其余规则的正则直接跳过；提不出必需字面量的规则（\b\d{11}\b 之类）每行照常执行。
+ * 字面量取小写、只含 ASCII 与无大小写之分的字符，扫描时折叠行内的 ASCII 大小写，只会多放行、不会漏掉命中。
+ */
+
+const { parseRegexSource } = require('./regex-guard');
+
+// ASCII 小写字母与数字（大写字母先折叠再查表）
+const ASCII_ALNUM = new Uint8Array(128);
+for (let c = 0; c < 128; c++) {
+  ASCII_ALNUM[c] = /[a-z0-9]/.test(String.fromCharCode(c)) ? 1 : 0;
+}
+
+// BMP 字符是否为字母或数字的缓存：0 未知、1 是、2 否
+const BMP_CLASS = new Uint8Array(0x10000);
+const LETTER_OR_NUMBER_REGEX = /^[\p{L}\p{N}]$/u;
+
+/**
+ * Whether the UTF-16 unit at i belongs to a character that is not a letter or number
+ */
+function isSeparatorAt(text, i, c) {
+  if (c < 0xd800 || c > 0xdfff) {
+    if (BMP_CLASS[c] === 0) BMP_CLASS[c] = LETTER_OR_NUMBER_REGEX.test(String.fromCharCode(c)) ? 1 : 2;
+    return BMP_CLASS[c] === 2;
+  }
+  // 代理对按完整码点判断，低位代理跟随它前面的高位代理
+  const high = c >= 0xdc00 && i > 0 && (text.charCodeAt(i - 1) & 0xfc00) === 0xd800;
+  return !LETTER_OR_NUMBER_REGEX.test(String.fromCodePoint(text.codePointAt(high ? i - 1 : i)));
+}
+
+/**
+ * Aho-Corasick automaton over a list of literals: findAll(text) reports which literals occur in text.
+ * 字面量须为小写，且非 ASCII 字符须无大小写之分：扫描时只折叠文本中的 ASCII 大写字母，不必整行转小写。
+ * skipSeparators 为 true 时跳过文本中字母、数字以外的字符（按去分隔符后的形式比较）
+ */
+class LiteralMatcher {
+  constructor(literals, { skipSeparators = false } = {}) {
+    this.size = literals.length;
+    this.skipSeparators = skipSeparators;
+
+    // 先建 UTF-16 码元上的字典树：{ next: Map<码元, 节点序号>, fail, outputs: 字面量序号[] }
+    const nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+    literals.forEach((literal, id) => {
+      let state = 0;
+      for (let i = 0; i < literal.length; i++) {
+        const c = literal.charCodeAt(i);
+        let next = nodes[state].next.get(c);
+        if (next === undefined) {
+          next = nodes.length;
+          nodes.push({ next: new Map(), fail: 0, outputs: [] });
+          nodes[state].next.set(c, next);
+        }
+        state = next;
+      }
+      nodes[state].outputs.push(id);
+    });
+
+    // 字面量里出现过的码元各占一列；ASCII 用数组查列号
+    this.asciiColumns = new Int32Array(128).fill(-1);
+    this.otherColumns = new Map();
+    let width = 0;
+    for (const literal of literals) {
+      for (let i = 0; i < literal.length; i++) {
+        const c = literal.charCodeAt(i);
+        if (c < 128 ? this.asciiColumns[c] === -1 : !this.otherColumns.has(c)) {
+          if (c < 128) this.asciiColumns[c] = width;
+          else this.otherColumns.set(c, width);
+          width++;
+        }
+      }
+    }
+    const columns = [];
+    this.asciiColumns.forEach((column, c) => { if (column !== -1) columns[column] = c; });
+    for (const [c, column] of this.otherColumns) columns[column] = c;
+
+    // 按层（BFS）补全失配指针并展开成完整的转移表：没有子节点的码元沿失配指针取转移
+    this.width = width;
+    this.table = new Int32Array(nodes.length * width);
+    const queue = [0];
+    for (let i = 0; i < queue.length; i++) {
+      const state = queue[i];
+      const node = nodes[state];
+      for (let column = 0; column < width; column++) {
+        const child = node.next.get(columns[column]);
+        if (child === undefined) {
+          this.table[state * width + column] = state === 0 ? 0 : this.table[node.fail * width + column];
+          continue;
+        }
+        this.table[state * width + column] = child;
+        nodes[child].fail = state === 0 ? 0 : this.table[node.fail * width + column];
+        nodes[child].outputs.push(...nodes[nodes[child].fail].outputs);
+        queue.push(child);
+      }
+    }
+    this.outputs = nodes.map((node) => node.outputs);
+  }
+
+  /**
+   * Feed text through the automaton, calling onOutput(state) at states with outputs; stops when it returns true
+   */
+  scan(text, onOutput) {
+    const { asciiColumns, otherColumns, table, width, outputs, skipSeparators } = this;
+    let state = 0;
+    for (let i = 0; i < text.length; i++) {
+      let c = text.charCodeAt(i);
+      let column;
+      if (c < 128) {
+        if (c >= 65 && c <= 90) c |= 0x20;
+        if (skipSeparators && ASCII_ALNUM[c] === 0) continue;
+        column = asciiColumns[c];
+      } else {
+        if (skipSeparators && isSeparatorAt(text, i, c)) continue;
+        const mapped = otherColumns.get(c);
+        column = mapped === undefined ? -1 : mapped;
+      }
+      state = column === -1 ? 0 : table[state * width + column];
+      if (outputs[state].length > 0 && onOutput(state)) return;
+    }
+  }
+
+  /**
+   * Whether any literal occurs in text
+   */
+  test(text) {
+    let found = false;
+    this.scan(text, () => (found = true));
+    return found;
+  }
+
+  /**
+   * Returns a Uint8Array: found[id] === 1 when literal id occurs in text
+   */
+  findAll(text) {
+    const found = new Uint8Array(this.size);
+    this.scan(text, (state) => {
+      for (const id of this.outputs[state]) found[id] = 1;
+      return false;
+    });
+    return found;
+  }
+}
+
+/**
+ * The literal character an atom always matches, or null.
+ * 只接受 ASCII 与无大小写之分的字符（中文等），小写化后比较才不会漏
+ */
+function literalChar(node) {
+  if (node.type !== 'atom' || node.zeroWidth || node.backref) return null;
+  let ch = null;
+  if (node.source.length === 1 && !'.^$'.includes(node.source)) {
+    ch = node.source;
+  } else if (/^\\[^\w\s]$/.test(node.source)) {
+    ch = node.source[1];
+  }
+  if (ch === null) return null;
+  return ch.charCodeAt(0) < 0x80 || ch.toLowerCase() === ch.toUpperCase() ? ch.toLowerCase() : null;
+}
+
+/**
+ * Literals of which every match of the alternatives contains at least one; null when none can be derived
+ */
+function alternativesLiterals(alternatives) {
+  const literals = new Set();
+  for (const alternative of alternatives) {
+    const best = alternativeLiterals(alternative);
+    if (!best) return null;
+    for (const literal of best) literals.add(literal);
+  }
+  return [...literals];
+}
+
+function alternativeLiterals(alternative) {
+  const candidates = [];
+  let run = '';
+  const flush = () => {
+    if (run) candidates.push([run]);
+    run = '';
+  };
+
+  for (const node of alternative) {
+    const ch = literalChar(node);
+    if (ch !== null && (!node.quant || node.quant.min >= 1)) {
+      run += ch;
+      // 带量词的字符至少出现一次，但后面的字符不一定紧挨着它
+      if (node.quant) flush();
+      continue;
+    }
+    flush();
+    if (node.type === 'group' && !node.zeroWidth && (!node.quant || node.quant.min >= 1)) {
+      const inner = alternativesLiterals(node.alternatives);
+      if (inner) candidates.push(inner);
+    }
+  }
+  flush();
+
+  // 取最短字面量最长的一组（越长越有区分度）
+  let best = null;
+  let bestScore = 0;
+  for (const candidate of candidates) {
+    const score = Math.min(...candidate.map((literal) => literal.length));
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Required literals of a regex (lowercase), or null when the regex must run on every line
+ */
+function findRequiredLiterals(regex) {
+  // i + u 下 ſ / K（开尔文符号）等非 ASCII 字符与 s / k 等价，小写比较会漏，不做预筛
+  if (regex.flags.includes('i') && regex.flags.includes('u')) return null;
+  try {
+    return alternativesLiterals(parseRegexSource(regex.source));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compiled regex patterns plus the prefilter: candidates(line) returns the rules worth running on a line
+ */
+class RuleSet {
+  constructor(patterns, { prefilter = true } = {}) {
+    const literals = [];
+    const literalIds = new Map();
+    // 字面量序号 → 依赖它的规则序号
+    const literalRules = [];
+
+    this.rules = patterns.map((pattern, index) => {
+      const rule = { pattern, regex: null, global: false, literals: null };
+      if (pattern.regex instanceof RegExp) {
+        // 未带 g 标志的规则与 String#replace 一致，只取第一处命中
+        const { source, flags } = pattern.regex;
+        rule.global = flags.includes('g');
+        rule.regex = new RegExp(source, rule.global ? flags : `${flags}g`);
+        rule.literals = prefilter ? findRequiredLiterals(pattern.regex) : null;
+      }
+      for (const literal of rule.literals || []) {
+        if (!literalIds.has(literal)) {
+          literalIds.set(literal, literals.length);
+          literals.push(literal);
+          literalRules.push([]);
+        }
+        literalRules[literalIds.get(literal)].push(index);
+      }
+      return rule;
+    });
+
+    this.literalRules = literalRules;
+    this.matcher = literals.length > 0 ? new LiteralMatcher(literals) : null;
+  }
+
+  /**
+   * Rules that may match the line, in configured order
+   */
+  candidates(line) {
+    if (!this.matcher) return this.rules;
+
+    const found = this.matcher.findAll(line);
+    const hit = new Uint8Array(this.rules.length);
+    for (let id = 0; id < found.length; id++) {
+      if (found[id]) {
+        for (const index of this.literalRules[id]) hit[index] = 1;
+      }
+    }
+    return this.rules.filter((rule, index) => rule.literals === null || hit[index] === 1);
+  }
+}
+
+module.exports = {
+  LiteralMatcher,
+  findRequiredLiterals,
+  RuleSet
+};
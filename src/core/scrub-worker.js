@@ -0,0 +1,85 @@
+/**
+ * Worker thread entry for parallel scrubbing (see parallel.js)
+ *
+ * workerData: { scrubberOptions, encoding, lineEnding, control }（control 为共享控制字，见 WorkerPool）
+ * 每条消息处理一个字节区间 { id, filePath, start, end, carry, final }，回复
+ * { id, result: { output, stats, replacements, carry, sqlColumnsAssigned, usedCarriedSqlColumns } }
+ * 或 { id, error }。output 是已按文件编码编码的 Buffer，主线程原样写出。
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { parentPort, workerData } = require('worker_threads');
+const iconv = require('iconv-lite');
+const LogScrubber = require('./scrubber');
+const { fromWorkerScrubberOptions, checkWorkerControl } = require('./parallel');
+const { addVaultEntries } = require('./vault');
+
+const scrubberOptions = fromWorkerScrubberOptions(workerData.scrubberOptions);
+const { encoding, lineEnding, control } = workerData;
+const iconvEncoding = encoding === 'gb2312' ? 'gbk' : encoding;
+const useIconv = iconvEncoding === 'gbk';
+
+/**
+ * Scrub the lines of one byte range of a file
+ */
+async function scrubRange({ filePath, start, end, carry, final }) {
+  const scrubber = new LogScrubber(scrubberOptions);
+  if (carry) scrubber.setCarryState(carry);
+
+  // createReadStream 的 end 为闭区间
+  const fileStream = fs.createReadStream(filePath, {
+    start,
+    end: end - 1,
+    ...(useIconv ? {} : { encoding })
+  });
+  const input = useIconv ? fileStream.pipe(iconv.decodeStream(iconvEncoding)) : fileStream;
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+
+  const parts = [];
+  const replacements = new Map();
+  const collect = (result) => {
+    if (result.replacements) addVaultEntries(replacements, result.replacements);
+    // 多行私钥块内的行被吸收（masked 为 null），整块在结束行折叠输出
+    if (result.masked !== null) parts.push(result.masked + lineEnding);
+  };
+
+  try {
+    for await (const line of rl) {
+      checkWorkerControl(control);
+      collect(scrubber.processLine(line));
+    }
+  } finally {
+    fileStream.destroy();
+  }
+
+  // 文件的最后一个区间：补发未闭合的私钥块
+  if (final) {
+    const tail = scrubber.flush();
+    if (tail) collect(tail);
+  }
+
+  const text = parts.join('');
+  return {
+    output: useIconv ? iconv.encode(text, iconvEncoding) : Buffer.from(text, encoding),
+    stats: scrubber.getStats(),
+    replacements: [...replacements],
+    carry: scrubber.getCarryState(),
+    sqlColumnsAssigned: scrubber.sqlColumnsAssigned,
+    usedCarriedSqlColumns: scrubber.usedCarriedSqlColumns
+  };
+}
+
+parentPort.on('message', (task) => {
+  scrubRange(task).then(
+    (result) => {
+      // 独占底层内存的 Buffer 直接转移，避免复制（池化的小 Buffer 与其他 Buffer 共用内存，不能转移）
+      const { output } = result;
+      const transfer = output.byteOffset === 0 && output.byteLength === output.buffer.byteLength
+        ? [output.buffer]
+        : [];
+      parentPort.postMessage({ id: task.id, result }, transfer);
+    },
+    (error) => parentPort.postMessage({ id: task.id, error: error?.message || String(error) })
+  );
+});
@@ -2,12 +2,218 @@
  * Core log scrubbing functionality
  */
 
+const crypto = require("crypto");
 const {
   SENSITIVE_KEYS,
+  KEY_ALLOWLIST,
+  SQL_SENSITIVE_COLUMNS,
+  SENSITIVE_COOKIE_NAMES,
+  FIELD_RULES,
+  KEY_ACTION_TYPES,
+  SENSITIVE_KEY_ACTIONS,
+  ACCESS_LOG_ACTION_TYPES,
+  ACCESS_LOG_FIELD_ACTIONS,
+  CSV_COLUMN_ACTION_TYPES,
+  CSV_COLUMN_ACTIONS,
+  ENTROPY_DETECTION,
   PATTERNS,
   KV_SEPARATORS,
   DEFAULT_MASK,
 } = require("./config");
+const { parseJsonSpans, findJsonSegments, applyEdits } = require("./json-spans");
+const { compileFieldRules, findFieldRule } = require("./field-rules");
+const { findLogfmtPairs, encodeQuoted } = require("./logfmt");
+const { compileAccessLogFormat, parseAccessLogLine, truncateIp } = require("./access-log");
+const { parseSyslogLine, encodeParamValue } = require("./syslog");
+const { tokenizeXml, decodeXmlText, localName } = require("./xml-spans");
+const { findUrls, splitUrl, decodeUrlComponent } = require("./url");
+const { findCookieHeaders, parseCookieHeaderValue } = require("./cookies");
+const { parseCsvRecord, formatCsvField } = require("./csv");
+const { KeyMatcher } = require("./key-matcher");
+const { findHighEntropyTokens, normalizeEntropyOptions } = require("./entropy");
+const { SPAN_PRIORITY, mergeMatches, offsetSpans, applySpans } = require("./spans");
+const { findUnsafeRegexReason, splitLongLine, createLineTimeoutError, isLineTimeoutError } = require("./regex-guard");
+const { LiteralMatcher, RuleSet } = require("./rule-set");
+const { normalizeRulePacks, applyRulePacks } = require("./rule-packs");
+const { addVaultEntries, isTokenCollisionError } = require("./vault");
+
+// 假名令牌中 HMAC 摘要保留的十六进制位数（16 位 = 64 bit）。按生日界，同一标签下约 6000 万个
+// 不同值时碰撞概率才到 1e-4；32 bit 时 1 万个值就有约 1% 的概率碰撞，保险库还原会错
+const PSEUDONYM_HASH_LENGTH = 16;
+
+// 假名令牌形态：LABEL_ + 16 位 hex（用于识别已脱敏值，避免二次脱敏）
+const PSEUDONYM_TOKEN_REGEX = new RegExp(`^[A-Z0-9_]+_[0-9a-f]{${PSEUDONYM_HASH_LENGTH}}$`);
+
+// 私钥块起始标记：RSA/EC/DSA/OPENSSH/ENCRYPTED PRIVATE KEY、PGP PRIVATE KEY BLOCK、PKCS12
+const KEY_BLOCK_BEGIN_REGEX = /-----BEGIN ((?:[A-Z0-9]+ )*(?:PRIVATE KEY(?: BLOCK)?|PKCS12))-----/;
+
+// 超过该长度的文本按片段执行正则规则（结构化解析仍看整行）
+const MAX_LINE_LENGTH = 16384;
+
+// 单行处理的时间预算（毫秒），超时整行替换为掩码
+const LINE_TIME_BUDGET_MS = 1000;
+
+// 未闭合私钥块最多吸收的行数（4096 位 RSA 约 50 行，带子密钥的 PGP 私钥块也在数百行内）
+const KEY_BLOCK_MAX_LINES = 1000;
+
+// 键名动作命中时计入 patternMatches 的统计名（与普通掩码分开计数）
+const KEY_ACTION_STATS = { mask: 'json_field_masked', drop: 'json_field_dropped', null: 'json_field_nulled' };
+
+// 文本模式下按敏感键名掩码的值（键值对、关键词、Authorization 头、logfmt）计入的统计名
+const KEY_VALUE_STAT = 'key_value_masking';
+
+// CSV 列动作的统计名
+const CSV_ACTION_STATS = { mask: 'csv_field_masked', hash: 'csv_field_hashed', drop: 'csv_field_dropped' };
+
+// 引号字段跨行时一条 CSV 记录最多拼接的行数（杂散引号不能吞掉后续整个文件）
+const CSV_RECORD_MAX_LINES = 1000;
+
+// 嵌入 JSON 前紧邻的 "键 分隔符"（如 password= {...}），键敏感时整段 JSON 视为其值
+const KEY_BEFORE_JSON_REGEX = /([A-Za-z_][\w.-]*|[\u4e00-\u9fa5]+)["']?\s*(?:=>|->|[:=：])\s*$/;
+
+// 访问日志请求行：METHOD target [HTTP/x.y]
+const REQUEST_LINE_REGEX = /^([A-Z]+ )(\S+)( HTTP\/[\d.]+)?$/;
+
+// MyBatis 日志：==>  Preparing: <SQL> / ==> Parameters: v1(Type), null, v2(Type)
+const MYBATIS_PREPARING_REGEX = /==>\s*Preparing:\s*(.*)$/;
+const MYBATIS_PARAMETERS_REGEX = /(==>\s*Parameters:\s?)(.*)$/;
+
+// INSERT/REPLACE INTO t (c1, c2) VALUES ...
+const SQL_INSERT_REGEX = /^\s*(?:INSERT|REPLACE)\s+(?:IGNORE\s+)?INTO\s+[^\s(]+\s*\(([^)]*)\)\s*VALUES\s*/i;
+
+// 占位符前的 "字段 运算符" 上下文（支持 t.col、`col`、"col"）
+const SQL_IDENT = '((?:[A-Za-z_][\\w$]*\\.)?(?:[A-Za-z_][\\w$]*|`[^`]+`|"[^"]+"))';
+const SQL_COMPARE_REGEX = new RegExp(`${SQL_IDENT}\\s*(?:=|<>|!=|<=|>=|<|>|\\bLIKE|\\bNOT\\s+LIKE)\\s*$`, 'i');
+const SQL_IN_REGEX = new RegExp(`${SQL_IDENT}\\s+(?:NOT\\s+)?IN\\s*\\(\\s*$`, 'i');
+const SQL_BETWEEN_REGEX = new RegExp(`${SQL_IDENT}\\s+(?:NOT\\s+)?BETWEEN\\s*$`, 'i');
+
+/**
+ * Normalize a SQL column reference: strip quotes and table alias
+ */
+function normalizeSqlColumn(raw) {
+  const name = String(raw || '').trim().split('.').pop().replace(/[`"\[\]]/g, '').trim();
+  return name || null;
+}
+
+/**
+ * Resolve the column behind each `?` placeholder of a prepared SQL statement.
+ * 返回与占位符一一对应的字段名数组，无法判断的位置为 null：
+ * - INSERT (cols) VALUES (?, ?), (?, ?)：按元组内位置对应字段（支持多行 VALUES 与函数嵌套）
+ * - 其他：看占位符前的 "col = ?" / "col LIKE ?" / "col IN (?, ?)" / "col BETWEEN ? AND ?"
+ */
+function resolveSqlParameterColumns(sql) {
+  const columns = [];
+  const insert = SQL_INSERT_REGEX.exec(sql);
+  const insertColumns = insert ? insert[1].split(',').map(normalizeSqlColumn) : null;
+  const valuesStart = insert ? insert.index + insert[0].length : -1;
+
+  let inValues = !!insert;
+  let depth = 0;
+  let element = 0;
+  let quote = null;
+  let prevEnd = 0;
+  let carry = null; // IN 列表 / BETWEEN 后续占位符沿用同一字段
+
+  for (let i = 0; i < sql.length; i++) {
+    const ch = sql[i];
+
+    // 跳过字符串字面量（含 \' 转义；'' 转义等价于闭合后立即重开）
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+    if (ch === "'" || ch === '"' || ch === '`') {
+      quote = ch;
+      continue;
+    }
+
+    if (inValues && i >= valuesStart) {
+      if (ch === '(') {
+        if (depth === 0) element = 0;
+        depth++;
+        continue;
+      }
+      if (ch === ')') {
+        depth = Math.max(0, depth - 1);
+        continue;
+      }
+      if (depth === 1 && ch === ',') {
+        element++;
+        continue;
+      }
+      if (depth > 0) {
+        if (ch === '?') {
+          columns.push(insertColumns[element] || null);
+          prevEnd = i + 1;
+        }
+        continue;
+      }
+      // 元组之外出现非分隔符（如 ON DUPLICATE KEY UPDATE）：VALUES 部分结束
+      if (ch !== ',' && !/\s/.test(ch)) inValues = false;
+    }
+
+    if (ch !== '?') continue;
+
+    const between = sql.slice(prevEnd, i);
+    const before = sql.slice(Math.max(0, i - 200), i);
+    let column = null;
+    let match;
+
+    if (carry && /^\s*(?:,|AND)\s*$/i.test(between)) {
+      column = carry.column;
+      if (carry.kind === 'between') carry = null;
+    } else if ((match = SQL_IN_REGEX.exec(before))) {
+      column = normalizeSqlColumn(match[1]);
+      carry = { kind: 'in', column };
+    } else if ((match = SQL_BETWEEN_REGEX.exec(before))) {
+      column = normalizeSqlColumn(match[1]);
+      carry = { kind: 'between', column };
+    } else if ((match = SQL_COMPARE_REGEX.exec(before))) {
+      column = normalizeSqlColumn(match[1]);
+      carry = null;
+    } else {
+      carry = null;
+    }
+
+    columns.push(column);
+    prevEnd = i + 1;
+  }
+
+  return columns;
+}
+
+/**
+ * Split a MyBatis Parameters list into { start, end, value, type } entries.
+ * 格式为 "值(类型)" 或 null，以 ", " 分隔；无法完整解析时返回 null。
+ */
+function splitMybatisParameters(text) {
+  const params = [];
+  const itemRegex = /null(?=, |$)|([\s\S]*?)\(([A-Za-z][\w.$]*(?:\[\])?)\)(?=, |$)/y;
+  let pos = 0;
+
+  while (pos < text.length) {
+    itemRegex.lastIndex = pos;
+    const match = itemRegex.exec(text);
+    if (!match) return null;
+
+    params.push({
+      start: pos,
+      end: itemRegex.lastIndex,
+      value: match[2] ? match[1] : null,
+      type: match[2] || null
+    });
+    pos = itemRegex.lastIndex;
+
+    if (text.startsWith(', ', pos)) {
+      pos += 2;
+    } else if (pos < text.length) {
+      return null;
+    }
+  }
+
+  return params;
+}
 
 class LogScrubber {
   constructor(options = {}) {
@@ -17,35 +223,184 @@ class LogScrubber {
     // 是否启用脱敏（默认启用）
     this.enableMasking = opts.enableMasking !== false;
 
-    // 是否脱敏 URL 参数（默认启用，false 则保留 URL 路径和参数名）
+    // 是否按 URL 结构脱敏（默认启用）。false 时不解析 URL，URL 按普通文本处理：
+    // 正则规则与 key=value 仍会掩码其中的片段（如 email=a@b.com、token=x），只是不再保留 URL 结构
     this.maskUrlParams = opts.maskUrlParams !== false;
 
+    // 是否脱敏 URL 路径中形似邮箱/手机号/证件号的片段（按已启用的正则规则判定）
+    this.maskUrlPath = opts.maskUrlPath === true;
+
+    // 合规规则包（见 rule-packs.js）：强制启用包内规则、追加敏感键名与掩码方式
+    this.rulePacks = normalizeRulePacks(opts.rulePacks);
+    const packed = applyRulePacks(Array.isArray(opts.patterns) ? opts.patterns : PATTERNS, this.rulePacks);
+
     // 初始化 sensitiveKeys 为 Set
     const keysInput = opts.sensitiveKeys || SENSITIVE_KEYS;
     this.sensitiveKeys = new Set(
-      (Array.isArray(keysInput) ? keysInput : [keysInput]).map((key) => String(key).toLowerCase())
+      [...(Array.isArray(keysInput) ? keysInput : [keysInput]), ...packed.sensitiveKeys]
+        .map((key) => String(key).toLowerCase())
     );
 
-    // 防御性检查：确保 patterns 是数组
-    let patternsArray = opts.patterns;
-    if (!Array.isArray(patternsArray)) {
-      patternsArray = PATTERNS;
+    // 结构化日志的字段规则（JSONPath 选择器 + 动作），优先于全局敏感键名
+    this.fieldRules = compileFieldRules(Array.isArray(opts.fieldRules) ? opts.fieldRules : FIELD_RULES);
+
+    // JSON 键名动作（mask / drop / null）：普通键名按名匹配，含 . 的按路径后缀匹配
+    this.keyActions = new Map();
+    this.keyPathActions = [];
+    const actionsInput = (opts.keyActions && typeof opts.keyActions === 'object')
+      ? opts.keyActions
+      : SENSITIVE_KEY_ACTIONS;
+    for (const [rawKey, action] of Object.entries(actionsInput)) {
+      const key = String(rawKey).trim().toLowerCase();
+      if (!key || !KEY_ACTION_TYPES.includes(action)) {
+        console.warn('Invalid key action:', rawKey, action);
+        continue;
+      }
+      if (key.includes('.')) {
+        this.keyPathActions.push({ segments: key.split('.'), action });
+      } else {
+        this.keyActions.set(key, action);
+        // 文本日志里无法删除字段，普通键名同时视为敏感键名，至少按掩码处理
+        this.sensitiveKeys.add(key);
+      }
+    }
+
+    // Cookie / Set-Cookie 头中按名脱敏的 cookie；敏感键名同样适用
+    const cookieInput = Array.isArray(opts.cookieNames) ? opts.cookieNames : SENSITIVE_COOKIE_NAMES;
+    this.cookieNames = new Set(cookieInput.map((name) => String(name).toLowerCase()));
+
+    // 键名匹配：忽略命名风格、按词对齐的后缀与通配符（见 key-matcher.js），白名单中的键名永不脱敏
+    const allowlist = Array.isArray(opts.keyAllowlist) ? opts.keyAllowlist : KEY_ALLOWLIST;
+    this.keyMatcher = new KeyMatcher([...this.sensitiveKeys], allowlist);
+
+    // 文本中的键名：ASCII 标识符交给 keyMatcher 判定；中文键名没有词边界，按配置原样列出
+    const esc = (k) => String(k).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const cjkKeys = [...this.sensitiveKeys].filter((k) => !/^[\x00-\x7F]+$/.test(k)).map(esc);
+    this.keyTokenSource = cjkKeys.length > 0
+      ? `\\b[A-Za-z_][\\w.-]*|${cjkKeys.join("|")}`
+      : "\\b[A-Za-z_][\\w.-]*";
+
+    // 预筛：行内（去分隔符后）不含任何敏感键名的字面量时，跳过键值对与关键词检测
+    const prefilter = opts.prefilter !== false;
+    const keyLiterals = prefilter ? this.keyMatcher.requiredLiterals() : null;
+    this.keyPrefilter = keyLiterals && keyLiterals.length > 0
+      ? new LiteralMatcher(keyLiterals, { skipSeparators: true })
+      : null;
+
+    // 访问日志模式：按 log_format 解析字段，逐字段选择动作；格式无效时告警并按普通文本处理
+    this.accessLogFormat = null;
+    if (typeof opts.accessLogFormat === 'string' && opts.accessLogFormat.trim()) {
+      try {
+        this.accessLogFormat = compileAccessLogFormat(opts.accessLogFormat);
+      } catch (error) {
+        console.warn('Invalid access log format:', error.message);
+      }
+    }
+    this.accessLogFieldActions = { ...ACCESS_LOG_FIELD_ACTIONS };
+    if (opts.accessLogFields && typeof opts.accessLogFields === 'object') {
+      for (const [field, action] of Object.entries(opts.accessLogFields)) {
+        if (ACCESS_LOG_ACTION_TYPES.includes(action)) {
+          this.accessLogFieldActions[field] = action;
+        } else {
+          console.warn('Invalid access log field action:', field, action);
+        }
+      }
     }
 
-    this.patterns = patternsArray.filter(
-      (p) => p && typeof p === 'object' && p.enabled === true
+    // CSV / TSV 模式：分隔符由 FileProcessor 按 csvMode 与扩展名传入。
+    // 列名取自首行表头；配置了 csvHeader 时文件没有表头行，首行即数据
+    this.csvDelimiter = (opts.csvDelimiter === ',' || opts.csvDelimiter === '\t') ? opts.csvDelimiter : null;
+    this.csvColumnActions = new Map();
+    const columnsInput = (opts.csvColumns && typeof opts.csvColumns === 'object') ? opts.csvColumns : CSV_COLUMN_ACTIONS;
+    for (const [column, action] of Object.entries(columnsInput)) {
+      if (CSV_COLUMN_ACTION_TYPES.includes(action)) {
+        this.csvColumnActions.set(column.trim().toLowerCase(), action);
+      } else {
+        console.warn('Invalid CSV column action:', column, action);
+      }
+    }
+    this.csvColumns = null;
+    this.pendingCsvLines = null;
+
+    // syslog 主机名替换为假名令牌（默认保留；令牌稳定，仍可按主机聚合）
+    this.pseudonymizeHostnames = opts.pseudonymizeHostnames === true;
+
+    // 灾难性回溯形态的规则不加载（见 regex-guard）；packed.patterns 在 opts.patterns 不是数组时取 PATTERNS
+    this.patterns = packed.patterns.filter(
+      (p) => p && typeof p === 'object' && p.enabled === true && this.isSafePattern(p)
     );
 
     // 防御性检查：确保 kvSeparators 是数组
     this.kvSeparators = Array.isArray(opts.kvSeparators) ? opts.kvSeparators : KV_SEPARATORS;
 
+    // 键值对与关键词正则只依赖配置，构造时编译一次（matchAll 内部复制正则，可安全复用）
+    this.kvRegex = this.compileKeyValueRegex();
+    this.keywordRegex = this.compileKeywordRegex();
+
+    // 正则规则编译一次，并按必需字面量预筛每行要执行的规则（见 rule-set.js）
+    this.ruleSet = new RuleSet(this.patterns, { prefilter });
+
+    // url_with_params 启用时 URL 的所有参数值都脱敏（保留参数名）；否则只脱敏敏感参数名的值
+    this.maskAllUrlParams = this.patterns.some((p) => p.name === 'url_with_params');
+
+    // SQL 参数脱敏：sql_parameter_masking 启用时生效；字段名与键名同样比较（id_card ≈ idCard）
+    this.sqlParameterMasking = this.patterns.some((p) => p.name === 'sql_parameter_masking');
+    this.sqlColumnMatcher = new KeyMatcher([...SQL_SENSITIVE_COLUMNS, ...this.sensitiveKeys], allowlist);
+
+    if (this.csvDelimiter && Array.isArray(opts.csvHeader) && opts.csvHeader.length > 0) {
+      this.csvColumns = this.resolveCsvColumns(opts.csvHeader.map(String));
+    }
+
+    // 高熵串检测：high_entropy_secret 启用时生效，阈值等可由 entropy 选项覆盖（见 ENTROPY_DETECTION）
+    this.entropyOptions = normalizeEntropyOptions(opts.entropy, ENTROPY_DETECTION);
+
+    // 多行私钥块：private_key_block 启用时，BEGIN 到对应 END 之间的行整体折叠为一行
+    this.keyBlockMasking = this.patterns.some((p) => p.name === 'private_key_block');
+    this.maxKeyBlockLines = Number.isInteger(opts.maxKeyBlockLines) && opts.maxKeyBlockLines > 0
+      ? opts.maxKeyBlockLines
+      : KEY_BLOCK_MAX_LINES;
+
+    // 正则规则的长行切片与单行时间预算；lineDeadline 只在 processLine / flush 期间有值
+    this.maxLineLength = Number.isInteger(opts.maxLineLength) && opts.maxLineLength > 0
+      ? opts.maxLineLength
+      : MAX_LINE_LENGTH;
+    this.lineTimeBudgetMs = typeof opts.lineTimeBudgetMs === 'number' && opts.lineTimeBudgetMs > 0
+      ? opts.lineTimeBudgetMs
+      : LINE_TIME_BUDGET_MS;
+    this.lineDeadline = null;
+    this.pendingKeyBlock = null;
+
+    // 跨行状态：最近一条 Preparing 语句中各占位符对应的字段名。
+    // BatchExecutor 一条 Preparing 后跟多条 Parameters，因此直到下一条 Preparing 才替换
+    this.pendingSqlColumns = null;
+    // 分片处理同一文件时（见 parallel.js）记录本片段在首条 Preparing 之前是否就遇到了 Parameters，
+    // 即结果是否取决于上一片段留下的字段名
+    this.sqlColumnsAssigned = false;
+    this.usedCarriedSqlColumns = false;
+
     // 确保 defaultMask 是字符串
     this.defaultMask = (typeof opts.defaultMask === 'string' && opts.defaultMask) ? opts.defaultMask : DEFAULT_MASK;
 
+    // 记录替换映射（保险库模式）：逐行收集 令牌 → 原值，由 FileProcessor 加密写入侧车文件
+    this.recordReplacements = opts.recordReplacements === true;
+    this.lineReplacements = null;
+
+    // 脱敏方式：mask = 固定掩码（默认）；pseudonymize = 基于密钥的确定性假名（EMAIL_7f3a9c12）。
+    // 保险库模式强制假名：*** 无法区分不同原值，也就无从还原。
+    this.maskStrategy = (opts.maskStrategy === 'pseudonymize' || this.recordReplacements)
+      ? 'pseudonymize'
+      : 'mask';
+
+    // 假名密钥：未提供时每个实例随机生成——同一实例（同一批次）内仍保持一致，但跨运行不可关联
+    this.pseudonymSecret = (typeof opts.pseudonymSecret === 'string' && opts.pseudonymSecret)
+      ? opts.pseudonymSecret
+      : crypto.randomBytes(32).toString('hex');
+
     this.stats = {
       totalLines: 0,
       maskedLines: 0,
       errors: 0,
+      timeouts: 0,
       patternMatches: {},
     };
   }
@@ -58,148 +413,381 @@ class LogScrubber {
       totalLines: 0,
       maskedLines: 0,
       errors: 0,
+      timeouts: 0,
       patternMatches: {},
     };
   }
 
   /**
-   * Mask JSON structured logs by recursively processing keys and values
-   * Returns { isJson, masked, hasChanges }
+   * Build the replacement for a detected value according to maskStrategy.
+   * mask 模式返回 defaultMask；pseudonymize 模式返回 LABEL_<hmac>，同一密钥下同值恒得同一令牌，
+   * 因此跨行、跨文件仍可关联同一用户/令牌，但无法还原原值。
    */
-  maskJsonLine(line) {
-    // 防御性检查：确保 line 是字符串
-    if (typeof line !== 'string') {
-      return { isJson: false, masked: line, hasChanges: false };
+  createMask(value, label) {
+    if (this.maskStrategy !== 'pseudonymize') {
+      return this.defaultMask;
     }
+    return this.createPseudonym(value, label);
+  }
 
-    // 尝试解析 JSON
-    let parsed;
-    try {
-      // 清理首尾空白
-      const trimmed = line.trim();
-      // 只处理以 { 或 [ 开头的行（简单的 JSON 检测）
-      if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
-        return { isJson: false, masked: line, hasChanges: false };
-      }
-      parsed = JSON.parse(trimmed);
-    } catch (e) {
-      // 不是有效的 JSON，回退到文本处理
-      return { isJson: false, masked: line, hasChanges: false };
+  /**
+   * Derive a stable keyed token for a value: LABEL_<first 16 hex of HMAC-SHA256>
+   */
+  createPseudonym(value, label) {
+    const digest = crypto
+      .createHmac('sha256', this.pseudonymSecret)
+      .update(String(value))
+      .digest('hex')
+      .slice(0, PSEUDONYM_HASH_LENGTH);
+
+    // 标签取键名/规则名的大写形式；中文键名等无 ASCII 字符时退化为 VALUE
+    const prefix = String(label || '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '') || 'VALUE';
+
+    const token = `${prefix}_${digest}`;
+    if (this.lineReplacements) {
+      addVaultEntries(this.lineReplacements, [[token, String(value)]]);
     }
+    return token;
+  }
+
+  /**
+   * Whether a value is already a mask produced by this scrubber (avoid double masking)
+   */
+  isMaskedValue(value) {
+    if (typeof value !== 'string') return false;
+    if (value === this.defaultMask) return true;
+    // 仅在假名模式下识别令牌形态——固定掩码模式下放行会让形似令牌的真实值漏脱
+    return this.maskStrategy === 'pseudonymize' && PSEUDONYM_TOKEN_REGEX.test(value);
+  }
 
-    // 递归处理 JSON 对象/数组
-    const maskValue = (value, parentKey = null) => {
-      if (value === null || value === undefined) {
-        return { value, changed: false };
+  /**
+   * Build a span that masks value (createMask is deferred until the span is accepted).
+   * encode 用于按所在语法转义掩码（URL 编码、logfmt 引号等）
+   */
+  maskSpan({ start, end, value, label, rule, priority = SPAN_PRIORITY.structure, encode = null }) {
+    return {
+      start,
+      end,
+      rule,
+      priority,
+      text: () => {
+        const mask = this.createMask(value, label);
+        return encode ? encode(mask) : mask;
       }
+    };
+  }
 
-      if (typeof value === 'string') {
-        // 处理字符串值中的敏感信息
-        let result = value;
-        let changed = false;
+  /**
+   * Build a span that replaces a region with an already scrubbed result (its matches are
+   * carried over instead of counting the span itself); null when nothing changed
+   */
+  compositeSpan(start, end, rule, result, encode = null) {
+    if (!result.hasChanges) return null;
+    return {
+      start,
+      end,
+      rule,
+      priority: SPAN_PRIORITY.structure,
+      text: encode ? encode(result.masked) : result.masked,
+      matches: result.matches
+    };
+  }
 
-        // 检查是否是已脱敏的值（避免重复脱敏）
-        if (result === this.defaultMask) {
-          return { value: result, changed: false };
-        }
+  /**
+   * Whether a key name is sensitive
+   */
+  isSensitiveKey(key) {
+    return this.keyMatcher.matches(key);
+  }
 
-        // 尝试 JSON 解析嵌套
-        const nestedResult = this.maskJsonLine(result);
-        if (nestedResult.isJson) {
-          return { value: nestedResult.masked, changed: nestedResult.hasChanges };
-        }
+  /**
+   * Resolve the configured action for a JSON key at a path (last segment is the key); null if none.
+   * 路径后缀规则比普通键名更具体，优先匹配；数组下标不参与比较
+   */
+  findKeyAction(path) {
+    if (this.keyActions.size === 0 && this.keyPathActions.length === 0) return null;
+
+    const keys = path.filter((segment) => typeof segment === 'string').map((k) => k.toLowerCase());
+    for (const { segments, action } of this.keyPathActions) {
+      if (segments.length > keys.length) continue;
+      const offset = keys.length - segments.length;
+      if (segments.every((segment, i) => keys[offset + i] === segment)) return action;
+    }
+    return this.keyActions.get(keys[keys.length - 1]) || null;
+  }
 
-        // 使用敏感键脱敏字符串值
-        for (const key of this.sensitiveKeys) {
-          const regex = new RegExp(`(${key}\\s*[:=]\\s*)([^\\s\\n\\r,;&"']+)`, 'gi');
-          result = result.replace(regex, (match, prefix, val) => {
-            changed = true;
-            return prefix + this.defaultMask;
-          });
-        }
+  /**
+   * Whether a cookie name is sensitive
+   */
+  isSensitiveCookie(name) {
+    return this.cookieNames.has(String(name).toLowerCase()) || this.isSensitiveKey(name);
+  }
 
-        return { value: changed ? result : value, changed };
-      }
+  /**
+   * Whether an XML element/attribute name is sensitive (namespace prefix ignored)
+   */
+  isSensitiveXmlName(name) {
+    return this.isSensitiveKey(localName(name));
+  }
 
-      if (Array.isArray(value)) {
-        let arrChanged = false;
-        const masked = value.map((v, idx) => {
-          const { value: mv, changed: c } = maskValue(v);
-          if (c) arrChanged = true;
-          return mv;
-        });
-        return { value: masked, changed: arrChanged };
+  /**
+   * Whether a SQL column name is sensitive
+   */
+  isSensitiveSqlColumn(column) {
+    return !!column && this.sqlColumnMatcher.matches(column);
+  }
+
+  /**
+   * Find the spans of MyBatis Parameters values by position using the columns of the preceding
+   * Preparing line (Preparing 行只记录字段列表，不产生片段)
+   */
+  findSqlParameterSpans(line) {
+    if (!this.sqlParameterMasking || typeof line !== 'string' || !line.includes('==>')) {
+      return [];
+    }
+
+    const preparing = MYBATIS_PREPARING_REGEX.exec(line);
+    if (preparing) {
+      this.pendingSqlColumns = resolveSqlParameterColumns(preparing[1]);
+      this.sqlColumnsAssigned = true;
+      return [];
+    }
+
+    const parameters = MYBATIS_PARAMETERS_REGEX.exec(line);
+    if (parameters && !this.sqlColumnsAssigned) {
+      this.usedCarriedSqlColumns = true;
+    }
+    const columns = this.pendingSqlColumns;
+    if (!parameters || !columns || !columns.some((c) => this.isSensitiveSqlColumn(c))) {
+      return [];
+    }
+
+    const offset = parameters.index + parameters[1].length;
+    const text = parameters[2];
+    const params = splitMybatisParameters(text);
+    const rule = 'sql_parameter_masking';
+
+    // 参数无法解析或个数与占位符不符（如其他线程的 Preparing 插在中间）：位置不可信，整段脱敏
+    if (!params || params.length !== columns.length) {
+      if (!text || this.isMaskedValue(text)) return [];
+      return [this.maskSpan({ start: offset, end: offset + text.length, value: text, label: 'sql_parameters', rule })];
+    }
+
+    const spans = [];
+    params.forEach((param, index) => {
+      const column = columns[index];
+      if (param.type === null || !this.isSensitiveSqlColumn(column) || this.isMaskedValue(param.value)) {
+        return;
       }
+      // 只替换值，保留 "(类型)"
+      const start = offset + param.start;
+      spans.push(this.maskSpan({ start, end: start + param.value.length, value: param.value, label: column, rule }));
+    });
+    return spans;
+  }
+
+  /**
+   * Find the spans of a JSON structured log by recursively processing keys and values.
+   * basePath 为该 JSON 在外层文档中的路径（嵌套在字符串里的 JSON 继续沿用外层路径匹配字段规则）。
+   * Returns the spans（计入 json_field_masked / dropped / nulled），or null when line is not JSON
+   */
+  findJsonSpans(line, basePath = []) {
+    // 防御性检查：确保 line 是字符串
+    if (typeof line !== 'string') {
+      return null;
+    }
 
-      if (typeof value === 'object') {
-        let objChanged = false;
-        const maskedObj = {};
-        for (const [k, v] of Object.entries(value)) {
-          const lowerKey = k.toLowerCase();
-          const { value: mv, changed: c } = this.sensitiveKeys.has(lowerKey)
-            ? { value: this.defaultMask, changed: value !== this.defaultMask }
-            : maskValue(v);
+    // 只处理以 { 或 [ 开头的行（简单的 JSON 检测）
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{') && !trimmed.startsWith('[')) {
+      return null;
+    }
+
+    // 在原文上解析出各值的位置；不是有效的 JSON 时回退到文本处理
+    const root = parseJsonSpans(line);
+    if (!root) {
+      return null;
+    }
+
+    // 只为敏感值生成片段——未改动的字节（格式、大整数、转义）保持原样
+    const spans = [];
+    const rawValue = (node) => (node.type === 'string' ? node.value : line.slice(node.start, node.end));
+    const addComposite = (node, result) => {
+      const span = this.compositeSpan(node.start, node.end, 'json_string', result, JSON.stringify);
+      if (span) spans.push(span);
+    };
+    const maskNode = (node, label, pseudonym = false) => {
+      if (node.type === 'string' && this.isMaskedValue(node.value)) return;
+      // 非字符串值（数字/对象）按其原文生成假名，保证同值同令牌
+      const raw = rawValue(node);
+      spans.push({
+        start: node.start,
+        end: node.end,
+        rule: KEY_ACTION_STATS.mask,
+        priority: SPAN_PRIORITY.structure,
+        text: () => JSON.stringify(pseudonym ? this.createPseudonym(raw, label) : this.createMask(raw, label))
+      });
+    };
+
+    const visit = (node, path) => {
+      if (node.type === 'object' || node.type === 'array') {
+        const children = node.type === 'object'
+          ? node.entries.map((entry) => ({ start: entry.keyNode.start, node: entry.value, key: entry.key }))
+          : node.items.map((item, index) => ({ start: item.start, node: item, key: index }));
+
+        const dropped = [];
+        children.forEach((child, index) => {
+          const childPath = [...path, child.key];
+          const label = typeof child.key === 'string' ? child.key : String(path[path.length - 1] ?? '');
+          const rule = this.fieldRules.length > 0 ? findFieldRule(this.fieldRules, childPath) : null;
+          const keyAction = !rule && node.type === 'object' ? this.findKeyAction(childPath) : null;
+          // "Cookie" / "Set-Cookie" 字段未单独配置动作时逐个 cookie 处理，而不是整体掩码
+          const cookies = !rule && !keyAction && child.node.type === 'string'
+            ? this.parseCookieField(child.key, child.node.value)
+            : null;
+
+          // 字段规则优先，其次键名动作、敏感键名：命中后不再向下递归
+          if (rule) {
+            // keep 原样保留；drop 由所在容器统一删除（连同逗号）
+            if (rule.action === 'drop') {
+              dropped.push(index);
+            } else if (rule.action !== 'keep') {
+              maskNode(child.node, label, rule.action === 'hash');
+            }
+          } else if (keyAction === 'drop') {
+            dropped.push(index);
+          } else if (keyAction === 'null') {
+            // 整个子树替换为 null，已是 null 的不计数
+            spans.push({
+              start: child.node.start,
+              end: child.node.end,
+              rule: KEY_ACTION_STATS.null,
+              priority: SPAN_PRIORITY.structure,
+              text: 'null'
+            });
+          } else if (cookies) {
+            addComposite(child.node, applySpans(child.node.value, this.findCookieValueSpans(cookies)));
+          } else if (keyAction === 'mask' || (node.type === 'object' && this.isSensitiveKey(child.key))) {
+            maskNode(child.node, label);
+          } else {
+            visit(child.node, childPath);
+          }
+        });
 
-          if (c) objChanged = true;
-          maskedObj[k] = mv;
+        if (dropped.length > 0) {
+          spans.push(...this.dropChildren(children, dropped));
         }
-        return { value: maskedObj, changed: objChanged };
+        return;
+      }
+
+      if (node.type !== 'string' || this.isMaskedValue(node.value)) {
+        return;
       }
 
-      return { value, changed: false };
+      // 字符串里的 JSON 同样按片段处理；其余按文本检测（URL、XML 报文、Cookie 头、键值对）
+      const nested = this.findJsonSpans(node.value, path);
+      addComposite(node, this.scrubComposite(node.value, nested || this.findTextSpans(node.value)));
     };
 
-    const { value: maskedValue, changed } = maskValue(parsed);
+    visit(root, basePath);
+    return spans;
+  }
 
-    // 如果没有变化，返回原始行以保持格式
-    if (!changed) {
-      return {
-        isJson: true,
-        masked: line,  // 返回原始行
-        hasChanges: false
-      };
+  /**
+   * Build spans that delete dropped object entries / array items together with their commas.
+   * children: [{ start, node }]（start 为键或元素起点），dropped: 升序的下标
+   */
+  dropChildren(children, dropped) {
+    const spans = [];
+    const dropSpan = (start, end, count) => ({
+      start,
+      end,
+      rule: KEY_ACTION_STATS.drop,
+      priority: SPAN_PRIORITY.structure,
+      text: '',
+      matches: { [KEY_ACTION_STATS.drop]: count }
+    });
+
+    const droppedSet = new Set(dropped);
+    let lastKept = -1;
+    children.forEach((child, index) => {
+      if (!droppedSet.has(index)) lastKept = index;
+    });
+
+    const last = children.length - 1;
+    for (const index of dropped) {
+      if (index < lastKept) {
+        // 后面还有保留项：删到下一项起点（连同本项后的逗号）
+        spans.push(dropSpan(children[index].start, children[index + 1].start, 1));
+      }
     }
 
-    return {
-      isJson: true,
-      masked: JSON.stringify(maskedValue),
-      hasChanges: true
-    };
+    // 保留项之后的尾部被删项：从最后保留项末尾删到容器内最后一项末尾（连同前导逗号）
+    if (lastKept < last) {
+      const start = lastKept >= 0 ? children[lastKept].node.end : children[0].start;
+      spans.push(dropSpan(start, children[last].node.end, last - lastKept));
+    }
+    return spans;
   }
 
   /**
-   * Mask the token in an Authorization header: Authorization: <scheme> <token>.
-   * 把 scheme+token 整体掩码。必须在 maskKeyValuePairs 之前调用——否则 KV 会先把 value
-   * 取到第一个空格、只掩掉 scheme(Bearer/Basic)，真正的 token 漏脱（尤其无数字的 Basic
-   * base64 不会被 base64 规则兜住，直接泄露）。
+   * Find the token in an Authorization header: Authorization: <scheme> <token>.
+   * scheme+token 整体作为一个片段，优先级高于普通键值对——否则 KV 只取到第一个空格、
+   * 只掩掉 scheme(Bearer/Basic)，真正的 token 漏脱（尤其无数字的 Basic base64 不会被
+   * base64 规则兜住，直接泄露）。
    */
-  maskAuthHeaders(line) {
-    let masked = line;
-    let hasChanges = false;
+  findAuthSpans(line) {
+    const spans = [];
     const authRegex = /(\b(?:proxy-)?authorization\b["']?\s*[:=]\s*["']?)((?:bearer|basic|digest|token|ntlm|hmac)\s+[^\s;,&"']+|[^\s;,&"']+)/gi;
-    masked = masked.replace(authRegex, (m, prefix) => {
-      hasChanges = true;
-      return prefix + this.defaultMask;
-    });
-    return { masked, hasChanges };
+    for (const match of line.matchAll(authRegex)) {
+      const [, prefix, value] = match;
+      if (this.isMaskedValue(value)) continue;
+      const start = match.index + prefix.length;
+      spans.push(this.maskSpan({
+        start, end: start + value.length, value, label: 'authorization', rule: KEY_VALUE_STAT, priority: SPAN_PRIORITY.header
+      }));
+    }
+    return spans;
   }
 
   /**
-   * Mask key-value pairs where the key is sensitive
+   * Find the values of key-value pairs where the key is sensitive
    * Supports formats: key=value, key: value, key => value, key -> value
    */
-  maskKeyValuePairs(line) {
-    let masked = line;
-    let hasChanges = false;
+  findKeyValueSpans(line) {
+    if (!this.kvRegex) {
+      return [];
+    }
 
-    // 防御性检查：确保 kvSeparators 是数组
-    if (!Array.isArray(this.kvSeparators)) {
-      return { masked, hasChanges };
+    const spans = [];
+    for (const match of line.matchAll(this.kvRegex)) {
+      const [, key, separator, value] = match;
+      if (!this.isSensitiveKey(key) || this.isMaskedValue(value)) continue;
+      const start = match.index + key.length + separator.length;
+      spans.push(this.maskSpan({
+        start, end: start + value.length, value, label: key, rule: KEY_VALUE_STAT, priority: SPAN_PRIORITY.key
+      }));
     }
+    return spans;
+  }
+
+  /**
+   * Find values that follow sensitive keywords anywhere in the line
+   */
+  findKeywordSpans(line) {
+    return this.keywordRegex ? this.findKeywordValueSpans(line, this.keywordRegex) : [];
+  }
 
-    // 防御性检查：确保 sensitiveKeys 是 Set
-    if (!(this.sensitiveKeys instanceof Set)) {
-      this.sensitiveKeys = new Set();
+  /**
+   * Compile the key-value regex from kvSeparators; null when kvSeparators is invalid
+   */
+  compileKeyValueRegex() {
+    // 防御性检查：确保 kvSeparators 是数组
+    if (!Array.isArray(this.kvSeparators)) {
+      return null;
     }
 
     // Create regex pattern for all separators
@@ -208,224 +796,1051 @@ class LogScrubber {
       .join("|");
 
     // value 排除 , ; & —— 否则 token=abc&other=keep 会把 &other=keep 一起吞掉打码
-    // （静默删数据，比漏报更糟）。与 maskSensitiveKeywords 的 value 取值口径保持一致。
-    const kvRegex = new RegExp(
-      `(\\b[\\w.-]+)(\\s*(?:${separatorPattern})\\s*)([^\\s\\n\\r,;&]+)`,
+    // （静默删数据，比漏报更糟）。与 findKeywordSpans 的 value 取值口径保持一致。
+    // 引号开头的值（password="x"/>、XML 属性）交给 findKeywordSpans 按引号边界处理，
+    // 否则会连同闭合引号及其后的标记一起吞掉
+    return new RegExp(
+      `(\\b[\\w.-]+)(\\s*(?:${separatorPattern})\\s*)([^\\s\\n\\r,;&"'][^\\s\\n\\r,;&]*)`,
       "gi"
     );
-
-    masked = masked.replace(kvRegex, (match, key, separator, value) => {
-      if (this.sensitiveKeys.has(key.toLowerCase())) {
-        hasChanges = true;
-        return `${key}${separator}${this.defaultMask}`;
-      }
-      return match;
-    });
-
-    return { masked, hasChanges };
   }
 
   /**
-   * Mask values that follow sensitive keywords anywhere in the line
+   * Compile the regex for sensitive keywords followed by separators and values; null on failure
    */
-  maskSensitiveKeywords(line) {
-    let masked = line;
-    let hasChanges = false;
-
-    // 防御性检查：确保 sensitiveKeys 是可迭代的
-    let keys = [];
-    try {
-      if (this.sensitiveKeys instanceof Set) {
-        keys = Array.from(this.sensitiveKeys);
-      } else if (Array.isArray(this.sensitiveKeys)) {
-        keys = this.sensitiveKeys;
-      } else if (typeof this.sensitiveKeys === 'object' && this.sensitiveKeys !== null) {
-        keys = Object.values(this.sensitiveKeys);
-      }
-    } catch (e) {
-      console.warn('Error converting sensitiveKeys to array:', e.message);
-      keys = [];
-    }
-
-    if (keys.length === 0) {
-      return { masked, hasChanges };
-    }
-
-    // Look for sensitive keywords followed by separators and values.
-    // ASCII 关键词用 \b 词边界（避免 monkey 命中 key）；CJK 关键词（密码/密钥…）无 ASCII
-    // 词边界，单独成支不带 \b。分隔符含半角 : = 与全角 ：；value 同时排除全角标点。
+  compileKeywordRegex() {
+    // 分隔符含半角 : = 与全角 ：；value 同时排除全角标点。
     try {
-      const esc = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-      const asciiKeys = keys.filter((k) => /^[\x00-\x7F]+$/.test(k)).map(esc);
-      const cjkKeys = keys.filter((k) => !/^[\x00-\x7F]+$/.test(k)).map(esc);
-
-      const alts = [];
-      if (asciiKeys.length) alts.push(`\\b(?:${asciiKeys.join("|")})\\b`);
-      if (cjkKeys.length) alts.push(`(?:${cjkKeys.join("|")})`);
-      if (alts.length === 0) return { masked, hasChanges };
-
-      // group1 = 关键词+(可选引号)+分隔符+(可选引号)（保留），group2 = 值（替换为掩码）。
+      // group1 = 关键词+(可选引号)+分隔符+(可选引号)（保留），group2 = 关键词本身（假名标签），
+      // group3 = 值（替换为掩码）。
       // 容忍 key/value 两侧引号，覆盖带前缀的 JSON 日志（2026 INFO {"password":"x"}）
       // 与引号 KV（"token":"x"）——否则这类极常见的结构化日志会整条漏脱。
       // value 同时排除引号，避免把闭合引号吃进掩码。
-      const keywordRegex = new RegExp(
-        `((?:${alts.join("|")})["']?\\s*[:=：]\\s*["']?)([^\\s\\n\\r,;&，。；"']+)`,
-        "gi"
+      return new RegExp(
+        `((${this.keyTokenSource})["']?\\s*[:=：]\\s*["']?)([^\\s\\n\\r,;&，。；"']+)`,
+        "g"
       );
-
-      masked = masked.replace(keywordRegex, (match, prefix) => {
-        hasChanges = true;
-        return prefix + this.defaultMask;
-      });
     } catch (regexError) {
       console.warn('Error in keyword regex:', regexError.message);
+      return null;
     }
+  }
 
-    return { masked, hasChanges };
+  /**
+   * Whether a text may contain a sensitive key (key prefilter); always true when the prefilter is off
+   */
+  mayContainSensitiveKey(text) {
+    return !this.keyPrefilter || this.keyPrefilter.test(text);
   }
 
   /**
-   * Apply regex patterns to mask specific data types
+   * Spans for the values of regex matches (groups: prefix, key, value) whose key is sensitive.
+   * 非敏感键的值里可能还嵌着键值对（foo: password=x），在值内继续查找
    */
-  maskPatterns(line) {
-    let masked = line;
-    let hasChanges = false;
-    const matches = {};
+  findKeywordValueSpans(text, regex) {
+    const spans = [];
+    for (const match of text.matchAll(regex)) {
+      const [, prefix, key, value] = match;
+      const start = match.index + prefix.length;
+      if (!this.isSensitiveKey(key)) {
+        spans.push(...offsetSpans(this.findKeywordValueSpans(value, regex), start));
+      } else if (!this.isMaskedValue(value)) {
+        spans.push(this.maskSpan({
+          start, end: start + value.length, value, label: key, rule: KEY_VALUE_STAT, priority: SPAN_PRIORITY.key
+        }));
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * Find regex pattern matches (specific data types) as spans
+   */
+  findPatternSpans(line) {
+    const spans = [];
 
     // 防御性检查：确保 patterns 是数组
     if (!Array.isArray(this.patterns)) {
       console.warn('scrubber.patterns is not an array:', this.patterns);
-      return { masked, hasChanges, matches };
+      return spans;
     }
 
-    for (const pattern of this.patterns) {
+    // 超长行按片段执行正则，单次回溯的代价随片段长度封顶
+    const chunks = line.length > this.maxLineLength
+      ? splitLongLine(line, this.maxLineLength)
+      : [{ start: 0, text: line }];
+
+    for (const rule of this.ruleSet.candidates(line)) {
+      const { pattern } = rule;
+      this.checkLineBudget();
+
       // 防御性检查：确保 pattern 和 regex 有效
       if (!pattern || typeof pattern !== 'object') {
         console.warn('Invalid pattern (not object):', pattern);
         continue;
       }
 
-      if (!pattern.regex) {
+      if (!rule.regex) {
         console.warn('Invalid pattern (no regex):', pattern.name);
         continue;
       }
 
-      // 如果 maskUrlParams 为 false，跳过 url_with_params 模式（让 URL 保持原样）
-      if (pattern.name === 'url_with_params' && !this.maskUrlParams) {
+      // URL 参数由 findUrlSpans 按参数名处理（整条正则替换会丢掉所有参数名）
+      if (pattern.name === 'url_with_params') {
         continue;
       }
 
-      try {
-        const regex = new RegExp(pattern.regex.source, pattern.regex.flags);
-        const matchCount = (masked.match(regex) || []).length;
-
-        if (matchCount > 0) {
-          // 防御性检查：确保 replacement 是有效类型
-          const replacement = pattern.replacement;
-
-          const before = masked;
-          if (typeof replacement === 'function') {
-            masked = masked.replace(regex, replacement);
-          } else if (typeof replacement === 'string' || typeof replacement === 'undefined') {
-            masked = masked.replace(regex, replacement || this.defaultMask);
-          } else {
-            console.warn('Invalid replacement type for pattern:', pattern.name, typeof replacement);
-            masked = masked.replace(regex, this.defaultMask);
-          }
+      // SQL 参数需要跨行状态，由 findSqlParameterSpans 处理
+      if (pattern.name === 'sql_parameter_masking') {
+        continue;
+      }
 
-          // 仅在文本确实改变时才计 hasChanges/matches —— 否则像 sql_parameter_masking
-          // 这种“函数返回原值”的规则会虚报脱敏（统计不准）。
-          if (masked !== before) {
-            hasChanges = true;
-            matches[pattern.name] = matchCount;
-          }
-        }
+      // 高熵串按熵值判定，不是单条正则能表达的
+      if (pattern.name === 'high_entropy_secret') {
+        spans.push(...this.findEntropySpans(line));
+        continue;
+      }
+
+      try {
+        spans.push(...this.findRegexSpans(rule, line, chunks));
       } catch (regexError) {
+        if (isLineTimeoutError(regexError)) throw regexError;
         console.warn('Invalid regex pattern:', pattern.name, regexError.message);
       }
     }
 
-    return { masked, hasChanges, matches };
+    return spans;
   }
 
   /**
-   * Process a single line through all scrubbing rules
+   * Run one compiled rule over the chunks of a line. Returns spans indexed on the whole line
    */
-  processLine(line) {
-    try {
-      this.stats.totalLines++;
-
-      // 如果未启用脱敏，直接返回原始行
-      if (this.enableMasking === false) {
-        return {
-          original: line,
-          masked: line,
-          hasChanges: false,
-          matches: {}
-        };
+  findRegexSpans(rule, line, chunks) {
+    const { pattern } = rule;
+    const spans = [];
+
+    for (const chunk of chunks) {
+      if (chunks.length > 1) this.checkLineBudget();
+      for (const match of chunk.text.matchAll(rule.regex)) {
+        const index = chunk.start + match.index;
+        if (match[0] && (typeof pattern.validate !== 'function' || this.isValidMatch(pattern, match[0]))) {
+          // 组装与 String#replace 回调相同的参数：match, p1..pn, offset, string[, groups]
+          const args = [...match, index, line];
+          if (match.groups) args.push(match.groups);
+          spans.push({
+            start: index,
+            end: index + match[0].length,
+            rule: pattern.name,
+            priority: SPAN_PRIORITY.pattern,
+            text: () => this.replaceMatch(pattern, args)
+          });
+        }
+        if (!rule.global) return spans;
       }
+    }
+    return spans;
+  }
 
-      let result = line;
-      let lineHasChanges = false;
-      let allMatches = {};
-
-      // Step 0: 尝试解析 JSON 结构化日志
-      const jsonResult = this.maskJsonLine(result);
-      if (jsonResult.isJson) {
-        result = jsonResult.masked;
-        lineHasChanges = jsonResult.hasChanges;
-      } else {
-        // Step 1a: Authorization 头特例（必须在 KV 之前，否则 KV 只掩 scheme、token 漏脱）
-        const authResult = this.maskAuthHeaders(result);
-        result = authResult.masked;
-        lineHasChanges = lineHasChanges || authResult.hasChanges;
+  /**
+   * Whether a pattern's regex is free of catastrophic-backtracking shapes (unsafe ones are skipped with a warning)
+   */
+  isSafePattern(pattern) {
+    if (!(pattern.regex instanceof RegExp)) return true;
+    const reason = findUnsafeRegexReason(pattern.regex);
+    if (reason) {
+      console.warn('Unsafe regex pattern skipped:', pattern.name, reason);
+      return false;
+    }
+    return true;
+  }
 
-        // Step 1b: Mask key-value pairs (text mode)
-        const kvResult = this.maskKeyValuePairs(result);
-        result = kvResult.masked;
-        lineHasChanges = lineHasChanges || kvResult.hasChanges;
+  /**
+   * Start the time budget of one line
+   */
+  startLineBudget() {
+    this.lineDeadline = Date.now() + this.lineTimeBudgetMs;
+  }
 
-        // Step 2: Mask sensitive keywords
-        const keywordResult = this.maskSensitiveKeywords(result);
-        result = keywordResult.masked;
-        lineHasChanges = lineHasChanges || keywordResult.hasChanges;
-      }
+  /**
+   * Throw a line timeout error once the current line is over budget.
+   * 正则执行本身无法打断，这里只在检测步骤之间检查；单步耗时由长行切片封顶
+   */
+  checkLineBudget() {
+    if (this.lineDeadline !== null && Date.now() > this.lineDeadline) {
+      throw createLineTimeoutError(this.lineTimeBudgetMs);
+    }
+  }
 
-      // Step 3: Apply regex patterns (always apply to final result)
-      const patternResult = this.maskPatterns(result);
-      result = patternResult.masked;
-      lineHasChanges = lineHasChanges || patternResult.hasChanges;
-      allMatches = patternResult.matches;
+  /**
+   * Find high-entropy tokens (random keys without a known prefix) as pattern-level spans
+   */
+  findEntropySpans(line) {
+    const spans = [];
+    for (const token of findHighEntropyTokens(line, this.entropyOptions)) {
+      if (this.isMaskedValue(token.value)) continue;
+      spans.push(this.maskSpan({
+        start: token.start,
+        end: token.end,
+        value: token.value,
+        label: 'secret',
+        rule: 'high_entropy_secret',
+        priority: SPAN_PRIORITY.pattern
+      }));
+    }
+    return spans;
+  }
 
-      // Update statistics
-      if (lineHasChanges) {
+  /**
+   * Apply regex patterns to mask specific data types
+   * Returns { masked, hasChanges, matches }
+   */
+  maskPatterns(line) {
+    return applySpans(line, this.findPatternSpans(line));
+  }
+
+  /**
+   * Run a pattern's validator on a candidate match.
+   * 校验函数自身出错时按命中处理（fail-closed：宁可多脱敏）。
+   */
+  isValidMatch(pattern, match) {
+    try {
+      return pattern.validate(match) !== false;
+    } catch (error) {
+      console.warn('Validator failed for pattern:', pattern.name, error.message);
+      return true;
+    }
+  }
+
+  /**
+   * Compute the replacement for a single match (callback form of String#replace)
+   */
+  replaceMatch(pattern, args) {
+    if (this.maskStrategy === 'pseudonymize') {
+      return this.pseudonymizeMatch(pattern, args);
+    }
+
+    const replacement = pattern.replacement;
+    if (typeof replacement === 'function') {
+      return replacement(...args);
+    }
+    if (typeof replacement !== 'string' || !replacement) {
+      return this.defaultMask;
+    }
+
+    // 手动展开 $1 / $& / $$ 模板（回调形式的 replace 不会替我们展开）
+    const hasNamedGroups = typeof args[args.length - 1] === 'object';
+    const captures = args.slice(1, args.length - (hasNamedGroups ? 3 : 2));
+    return replacement.replace(/\$(\$|&|\d{1,2})/g, (token, ref) => {
+      if (ref === '$') return '$';
+      if (ref === '&') return args[0];
+      const group = captures[Number(ref) - 1];
+      return typeof group === 'string' ? group : '';
+    });
+  }
+
+  /**
+   * Pseudonymize one regex match of a pattern.
+   * 规则声明了 valueGroup 时只替换该捕获组（保留 "姓名:" 之类的上下文），否则整段命中替换为令牌。
+   */
+  pseudonymizeMatch(pattern, args) {
+    const match = args[0];
+    const group = Number.isInteger(pattern.valueGroup) ? args[pattern.valueGroup] : null;
+    if (typeof group === 'string' && group) {
+      if (this.isMaskedValue(group.trim())) return match;
+      return match.replace(group, this.createPseudonym(group, pattern.name));
+    }
+    return this.createPseudonym(match, pattern.name);
+  }
+
+  /**
+   * Track multi-line private key blocks (PEM / OpenSSH / PGP / PKCS#12).
+   * 返回 null 表示该行被块吸收（不输出）；否则返回 { text, collapsed }，
+   * collapsed 为 true 时 text 是折叠后的整块（含 BEGIN 前缀与 END 之后的剩余内容）。
+   */
+  consumeKeyBlockLine(line) {
+    if (!this.keyBlockMasking) {
+      return { text: line, collapsed: false };
+    }
+
+    const block = this.pendingKeyBlock;
+    if (block) {
+      const endMarker = `-----END ${block.label}-----`;
+      const endIndex = line.indexOf(endMarker);
+      if (endIndex !== -1) {
+        block.body.push(line.slice(0, endIndex));
+        this.pendingKeyBlock = null;
+        return {
+          text: block.prefix + this.collapseKeyBlock(block) + line.slice(endIndex + endMarker.length),
+          collapsed: true
+        };
+      }
+
+      block.body.push(line);
+      // 安全上限：迟迟不见 END（截断的日志、标签不匹配）时就地收尾，避免吞掉后续全部日志
+      if (block.body.length >= this.maxKeyBlockLines) {
+        console.warn(`Unterminated ${block.label} block exceeded ${this.maxKeyBlockLines} lines, closing it`);
+        this.pendingKeyBlock = null;
+        return { text: block.prefix + this.collapseKeyBlock(block), collapsed: true };
+      }
+      return null;
+    }
+
+    if (!line.includes('-----BEGIN ')) {
+      return { text: line, collapsed: false };
+    }
+
+    // 找到本行最后一个没有对应 END 的 BEGIN；行内完整的块留给 private_key_block 规则
+    const beginRegex = new RegExp(KEY_BLOCK_BEGIN_REGEX.source, 'g');
+    let match;
+    while ((match = beginRegex.exec(line)) !== null) {
+      const bodyStart = match.index + match[0].length;
+      const endIndex = line.indexOf(`-----END ${match[1]}-----`, bodyStart);
+      if (endIndex === -1) {
+        this.pendingKeyBlock = {
+          label: match[1],
+          prefix: line.slice(0, match.index),
+          body: [line.slice(bodyStart)]
+        };
+        return null;
+      }
+      beginRegex.lastIndex = endIndex;
+    }
+
+    return { text: line, collapsed: false };
+  }
+
+  /**
+   * Collapse an accumulated key block into a single-line placeholder.
+   * 未闭合的块（超过上限或到达文件末尾）同样补齐 END，输出形态统一。
+   */
+  collapseKeyBlock(block) {
+    // 固定掩码与 private_key_block 规则的替换一致，折叠结果再经该规则时保持不变
+    const mask = this.maskStrategy === 'pseudonymize'
+      ? this.createPseudonym(block.body.join('\n'), 'private_key_block')
+      : '***';
+    return `-----BEGIN ${block.label}----- ${mask} -----END ${block.label}-----`;
+  }
+
+  /**
+   * Resolve per-column actions from column names: csvColumns 配置优先，
+   * 其次列名为敏感键名或 SQL 敏感字段（phone、id_card）时 mask，其余按文本处理
+   */
+  resolveCsvColumns(names) {
+    return names.map((raw) => {
+      // 首列名可能带 UTF-8 BOM（Excel 导出）
+      const name = raw.replace(/^\uFEFF/, '').trim();
+      const configured = this.csvColumnActions.get(name.toLowerCase());
+      if (configured) return { name, action: configured };
+      const sensitive = this.isSensitiveKey(name) || this.isSensitiveSqlColumn(name);
+      return { name, action: sensitive ? 'mask' : 'text' };
+    });
+  }
+
+  /**
+   * Accumulate physical lines into a CSV record (quoted fields may span lines).
+   * Returns { text, fields } once the record is complete, null while it is still open
+   */
+  consumeCsvLine(line) {
+    const lines = this.pendingCsvLines ? [...this.pendingCsvLines, line] : [line];
+    const text = lines.join('\n');
+    // 超过上限时按文件末尾处理：未闭合的引号字段取到结尾
+    const final = lines.length >= CSV_RECORD_MAX_LINES;
+    const fields = parseCsvRecord(text, this.csvDelimiter, final);
+    if (!fields) {
+      this.pendingCsvLines = lines;
+      return null;
+    }
+    if (final && this.pendingCsvLines) {
+      console.warn(`Unterminated quoted CSV field exceeded ${CSV_RECORD_MAX_LINES} lines, closing it`);
+    }
+    this.pendingCsvLines = null;
+    return { text, fields };
+  }
+
+  /**
+   * Mask one CSV record by column. 首条记录（未配置 csvHeader 时）是表头：只解析列名、删除 drop 列。
+   * 未改动的字段按原文输出，改动的字段按需加引号，输出仍是合法的 CSV。
+   * Returns { masked, hasChanges, matches }
+   */
+  maskCsvRecord(text, fields) {
+    const matches = {};
+    // 空行原样保留（也不当作表头）
+    if (text === '') {
+      return { masked: text, hasChanges: false, matches };
+    }
+
+    const isHeader = !this.csvColumns;
+    if (isHeader) {
+      this.csvColumns = this.resolveCsvColumns(fields.map((field) => field.value));
+    }
+
+    const count = (action) => mergeMatches(matches, { [CSV_ACTION_STATS[action]]: 1 });
+    const output = [];
+    let hasChanges = false;
+
+    fields.forEach((field, index) => {
+      const column = this.csvColumns[index] || { name: '', action: 'text' };
+      const original = text.slice(field.start, field.end);
+      if (column.action === 'drop') {
+        hasChanges = true;
+        if (!isHeader) count('drop');
+        return;
+      }
+
+      let value = field.value;
+      if (!isHeader && value !== '' && !this.isMaskedValue(value)) {
+        if (column.action === 'mask' || column.action === 'hash') {
+          value = column.action === 'hash'
+            ? this.createPseudonym(value, column.name)
+            : this.createMask(value, column.name);
+          count(column.action);
+        } else if (column.action === 'text') {
+          const scrubbed = this.scrubText(value);
+          mergeMatches(matches, scrubbed.matches);
+          value = scrubbed.masked;
+        }
+      }
+
+      if (value === field.value) {
+        output.push(original);
+      } else {
+        hasChanges = true;
+        output.push(formatCsvField(value, this.csvDelimiter, field.quoted));
+      }
+    });
+
+    return { masked: output.join(this.csvDelimiter), hasChanges, matches };
+  }
+
+  /**
+   * Run the per-line masking steps on a piece of text (no statistics).
+   * 各检测器都在原文上报告片段，重叠按优先级取舍后一次拼接：统计只计实际生效的片段，
+   * 结果也不依赖检测器的先后顺序。
+   * Returns { masked, hasChanges, matches }
+   */
+  scrubText(text) {
+    // 访问日志：字段位置固定，逐字段处理后直接返回（整行正则会把截断后的 IP、保留的路径再掩一遍）
+    if (this.accessLogFormat) {
+      const fields = parseAccessLogLine(this.accessLogFormat, text);
+      if (fields) return this.maskAccessLogLine(text, fields);
+    }
+
+    const spans = [];
+
+    // syslog：头部与结构化数据单独处理，消息体继续走下面的流程
+    let offset = 0;
+    const syslog = parseSyslogLine(text);
+    if (syslog) {
+      spans.push(...this.findSyslogHeaderSpans(syslog));
+      offset = syslog.msgStart;
+    }
+    const body = text.slice(offset);
+
+    // JSON 结构化日志按键名处理；否则收集 SQL 参数与文本检测的片段
+    const jsonSpans = this.findJsonSpans(body);
+    if (jsonSpans) {
+      spans.push(...offsetSpans(jsonSpans, offset));
+    } else {
+      spans.push(...offsetSpans(this.findSqlParameterSpans(body), offset));
+      spans.push(...offsetSpans(this.findTextSpans(body), offset));
+    }
+
+    // 正则规则作用于整行原文（含 syslog 头），与上面的片段重叠时让位
+    spans.push(...this.findPatternSpans(text));
+    return applySpans(text, spans);
+  }
+
+  /**
+   * Collect the spans of a free-text piece (regex patterns not included):
+   * URL、XML 报文、嵌入的 JSON 段按结构定位，JSON 段之外的文本走 findSegmentSpans
+   */
+  findTextSpans(text) {
+    const spans = [...this.findUrlSpans(text), ...this.findXmlSpans(text)];
+
+    let last = 0;
+    for (const { start, end } of findJsonSegments(text)) {
+      spans.push(...offsetSpans(this.findSegmentSpans(text.slice(last, start)), last));
+
+      // 形如 password={...}：整段 JSON 是敏感键的值（文本 KV 只看得到空值）
+      const segment = text.slice(start, end);
+      const keyBefore = KEY_BEFORE_JSON_REGEX.exec(text.slice(0, start));
+      if (keyBefore && this.isSensitiveKey(keyBefore[1])) {
+        spans.push(this.maskSpan({ start, end, value: segment, label: keyBefore[1], rule: KEY_VALUE_STAT }));
+      } else {
+        spans.push(...offsetSpans(this.findJsonSpans(segment) || [], start));
+      }
+      last = end;
+    }
+
+    spans.push(...offsetSpans(this.findSegmentSpans(text.slice(last)), last));
+    return spans;
+  }
+
+  /**
+   * Text-mode spans for a non-JSON piece of a line
+   */
+  findSegmentSpans(text) {
+    if (!text) return [];
+
+    // Cookie / Set-Cookie 头逐个 cookie 处理（a=1; b=2 形似键值对，不能交给 logfmt 与 KV）
+    const cookieHeaders = findCookieHeaders(text);
+    if (cookieHeaders.length > 0) {
+      return this.findCookieHeaderSpans(text, cookieHeaders);
+    }
+
+    // logfmt 行（或行尾的 logfmt 段）按键值对逐个处理，引号值整体脱敏
+    const logfmt = findLogfmtPairs(text);
+    if (logfmt) {
+      return this.findLogfmtSpans(text, logfmt);
+    }
+
+    // Authorization 头、键值对、关键词都在原文上检测，重叠时 Authorization 优先
+    const authSpans = this.findAuthSpans(text);
+    if (!this.mayContainSensitiveKey(text)) return authSpans;
+    return [...authSpans, ...this.findKeyValueSpans(text), ...this.findKeywordSpans(text)];
+  }
+
+  /**
+   * Scrub a standalone decoded value (URL 参数值、访问日志文本字段): text detectors plus regex patterns.
+   * Returns { masked, hasChanges, matches }
+   */
+  scrubValue(text) {
+    return applySpans(text, [...this.findTextSpans(text), ...this.findPatternSpans(text)]);
+  }
+
+  /**
+   * Scrub a region that is replaced as a whole once it changes (JSON 字符串值、logfmt 值).
+   * 外层的正则片段与之重叠时会让位，所以区域内要再套一遍正则；spans 为空时原样返回，交给外层正则。
+   * Returns { masked, hasChanges, matches }
+   */
+  scrubComposite(text, spans) {
+    if (spans.length === 0) {
+      return { masked: text, hasChanges: false, matches: {} };
+    }
+    return applySpans(text, [...spans, ...this.findPatternSpans(text)]);
+  }
+
+  /**
+   * Find XML element text, CDATA and attribute values whose names are sensitive.
+   * 敏感元素内的所有文本（含子元素）都视为其值；首尾空白保留，便于对齐缩进的报文。
+   */
+  findXmlSpans(text) {
+    const spans = [];
+    const tokens = tokenizeXml(text);
+    if (tokens.length === 0) {
+      return spans;
+    }
+
+    const stack = [];
+    const maskRange = (start, end, label) => {
+      const raw = text.slice(start, end);
+      const value = raw.trim();
+      if (!value || this.isMaskedValue(value)) return;
+      const lead = raw.length - raw.trimStart().length;
+      spans.push(this.maskSpan({
+        start: start + lead, end: start + lead + value.length, value: decodeXmlText(value), label, rule: 'xml_masking'
+      }));
+    };
+    const maskAttributes = (attrs) => {
+      for (const attr of attrs) {
+        // xmlns / xmlns:x 是命名空间声明，不是数据
+        if (attr.name === 'xmlns' || attr.name.startsWith('xmlns:')) continue;
+        if (this.isSensitiveXmlName(attr.name)) maskRange(attr.start, attr.end, localName(attr.name));
+      }
+    };
+
+    for (const token of tokens) {
+      const current = stack[stack.length - 1];
+      switch (token.type) {
+        case 'open': {
+          maskAttributes(token.attrs);
+          const sensitive = this.isSensitiveXmlName(token.name);
+          stack.push({ name: token.name, label: sensitive ? localName(token.name) : current?.label || null });
+          break;
+        }
+        case 'selfclose':
+          maskAttributes(token.attrs);
+          break;
+        case 'close': {
+          // 容忍未闭合/错配：弹出到同名元素为止
+          const index = stack.map((e) => e.name).lastIndexOf(token.name);
+          if (index !== -1) stack.length = index;
+          break;
+        }
+        default:
+          // text / cdata：仅在敏感元素内脱敏
+          if (current?.label) maskRange(token.start, token.end, current.label);
+      }
+    }
+
+    return spans;
+  }
+
+  /**
+   * Find the syslog header spans (everything before MSG): sensitive SD-PARAM values, and the
+   * hostname when pseudonymizeHostnames is on. SD 值中的 " \\ ] 按 RFC 5424 重新转义。
+   */
+  findSyslogHeaderSpans(syslog) {
+    const spans = [];
+
+    const { hostname } = syslog;
+    if (this.pseudonymizeHostnames && hostname.value !== '-' && !this.isMaskedValue(hostname.value)) {
+      spans.push({
+        start: hostname.start,
+        end: hostname.end,
+        rule: 'syslog_hostname',
+        priority: SPAN_PRIORITY.structure,
+        text: () => this.createPseudonym(hostname.value, 'host')
+      });
+    }
+
+    for (const element of syslog.structuredData) {
+      for (const param of element.params) {
+        if (!param.value || !this.isSensitiveKey(param.name) || this.isMaskedValue(param.value)) continue;
+        spans.push(this.maskSpan({
+          start: param.start, end: param.end, value: param.value, label: param.name,
+          rule: 'syslog_structured_data', encode: encodeParamValue
+        }));
+      }
+    }
+
+    return spans;
+  }
+
+  /**
+   * Mask an access log line field by field according to accessLogFieldActions.
+   * mask / truncate_ip 动作分别计入 access_log_field_masked、access_log_ip_truncated。
+   * Returns { masked, hasChanges, matches }
+   */
+  maskAccessLogLine(line, fields) {
+    const edits = [];
+    const matches = {};
+    const addMatches = (found) => mergeMatches(matches, found);
+
+    for (const field of fields) {
+      const { value } = field;
+      // nginx 用 - 表示空值
+      if (value === '' || value === '-') continue;
+
+      let masked = value;
+      switch (this.accessLogFieldActions[field.name] || 'text') {
+        case 'keep':
+          break;
+        case 'mask':
+          if (!this.isMaskedValue(value)) {
+            masked = this.createMask(value, field.name);
+            addMatches({ access_log_field_masked: 1 });
+          }
+          break;
+        case 'truncate_ip':
+          masked = truncateIp(value);
+          if (masked !== value) addMatches({ access_log_ip_truncated: 1 });
+          break;
+        case 'url':
+          masked = this.maskAccessLogUrl(value, addMatches);
+          break;
+        case 'query':
+          masked = (value.startsWith('?') ? '?' : '')
+            + this.maskQueryString(value.replace(/^\?/, ''), addMatches);
+          break;
+        default: {
+          const textResult = this.scrubValue(value);
+          addMatches(textResult.matches);
+          masked = textResult.masked;
+        }
+      }
+
+      if (masked !== value) {
+        edits.push({ start: field.start, end: field.end, text: masked });
+      }
+    }
+
+    return { masked: applyEdits(line, edits), hasChanges: edits.length > 0, matches };
+  }
+
+  /**
+   * Mask an access log URL field, which may also be a whole request line ("GET /path HTTP/1.1")
+   */
+  maskAccessLogUrl(value, addMatches) {
+    const request = REQUEST_LINE_REGEX.exec(value);
+    if (request) {
+      return request[1] + this.maskUrl(request[2], addMatches) + (request[3] || '');
+    }
+    return this.maskUrl(value, addMatches);
+  }
+
+  /**
+   * Find the spans of every URL in a line (none when maskUrlParams is off)
+   */
+  findUrlSpans(text) {
+    const spans = [];
+    if (!this.maskUrlParams) {
+      return spans;
+    }
+
+    for (const { start, end } of findUrls(text)) {
+      spans.push(...offsetSpans(this.findUrlPartSpans(text.slice(start, end)), start));
+    }
+    return spans;
+  }
+
+  /**
+   * Mask one URL (e.g. an access log field); returns the masked URL
+   */
+  maskUrl(url, addMatches) {
+    const result = applySpans(url, this.findUrlPartSpans(url));
+    addMatches(result.matches);
+    return result.masked;
+  }
+
+  /**
+   * Find the spans of one URL keeping scheme, host, parameter names and fragment intact:
+   * userinfo 整体掩码，查询串见 findQuerySpans，maskUrlPath 开启时再处理路径片段。
+   * 命中数计入 url_masking
+   */
+  findUrlPartSpans(url) {
+    const parts = splitUrl(url);
+    if (!parts) return [];
+
+    const spans = [];
+    let pos = parts.scheme.length;
+    if (parts.userinfo !== undefined) {
+      const decoded = decodeUrlComponent(parts.userinfo);
+      if (parts.userinfo && !this.isMaskedValue(decoded)) {
+        spans.push(this.maskSpan({
+          start: pos, end: pos + parts.userinfo.length, value: decoded, label: 'userinfo', rule: 'url_masking'
+        }));
+      }
+      pos += parts.userinfo.length + 1;
+    }
+    pos += parts.host.length;
+
+    if (this.maskUrlPath) {
+      spans.push(...offsetSpans(this.findUrlPathSpans(parts.path), pos));
+    }
+    pos += parts.path.length;
+
+    if (parts.query !== undefined) {
+      spans.push(...offsetSpans(this.findQuerySpans(parts.query), pos + 1));
+    }
+    return spans;
+  }
+
+  /**
+   * Find path segments that match enabled patterns (emails, phones, ID numbers)
+   */
+  findUrlPathSpans(path) {
+    const spans = [];
+    let pos = 0;
+    for (const segment of path.split('/')) {
+      if (segment) {
+        const patternResult = this.maskPatterns(decodeUrlComponent(segment));
+        const span = this.compositeSpan(pos, pos + segment.length, 'url_path', patternResult, encodeURIComponent);
+        if (span) spans.push(span);
+      }
+      pos += segment.length + 1;
+    }
+    return spans;
+  }
+
+  /**
+   * Mask a query string (e.g. an access log field); returns the masked query
+   */
+  maskQueryString(query, addMatches) {
+    const result = applySpans(query, this.findQuerySpans(query));
+    addMatches(result.matches);
+    return result.masked;
+  }
+
+  /**
+   * Find query string value spans: sensitive parameter names (or every parameter when url_with_params
+   * is enabled) get their whole value masked; 其余参数值解码后再走 scrubValue（嵌套 URL 如
+   * redirect=https%3A...，email=a%40b.com 这类编码值也能命中），有变化再编码写回。
+   * 参数名与 & 顺序原样保留
+   */
+  findQuerySpans(query) {
+    const spans = [];
+    let pos = 0;
+    for (const param of query.split('&')) {
+      const eq = param.indexOf('=');
+      const value = eq === -1 ? '' : param.slice(eq + 1);
+      if (value) {
+        const name = decodeUrlComponent(param.slice(0, eq), true);
+        const decoded = decodeUrlComponent(value, true);
+        const start = pos + eq + 1;
+        const end = pos + param.length;
+        if (this.maskAllUrlParams || this.isSensitiveKey(name)) {
+          if (!this.isMaskedValue(decoded)) {
+            spans.push(this.maskSpan({
+              start, end, value: decoded, label: name, rule: 'url_masking', encode: encodeURIComponent
+            }));
+          }
+        } else {
+          const span = this.compositeSpan(start, end, 'url_query', this.scrubValue(decoded), encodeURIComponent);
+          if (span) spans.push(span);
+        }
+      }
+      pos += param.length + 1;
+    }
+    return spans;
+  }
+
+  /**
+   * Parse a JSON field as a cookie list when its key is Cookie / Set-Cookie; null otherwise
+   */
+  parseCookieField(key, value) {
+    const name = typeof key === 'string' ? key.toLowerCase() : '';
+    if (name !== 'cookie' && name !== 'set-cookie') return null;
+    return parseCookieHeaderValue(value, name === 'set-cookie');
+  }
+
+  /**
+   * Find the values of sensitive cookies (quotes kept)
+   */
+  findCookieValueSpans(cookies) {
+    const spans = [];
+    for (const cookie of cookies) {
+      if (!cookie.value || !this.isSensitiveCookie(cookie.name) || this.isMaskedValue(cookie.value)) continue;
+      spans.push(this.maskSpan({
+        start: cookie.start, end: cookie.end, value: cookie.value, label: cookie.name, rule: 'cookie_masking'
+      }));
+    }
+    return spans;
+  }
+
+  /**
+   * Find sensitive cookies in the Cookie / Set-Cookie headers found by findCookieHeaders.
+   * Set-Cookie 的 Path / Expires / HttpOnly 等属性不在头的范围内，原样保留；
+   * 头之间的文本走 findSegmentSpans
+   */
+  findCookieHeaderSpans(text, headers) {
+    const spans = [];
+    let last = 0;
+
+    for (const header of headers) {
+      spans.push(...offsetSpans(this.findSegmentSpans(text.slice(last, header.start)), last));
+      spans.push(...this.findCookieValueSpans(header.cookies));
+      last = header.end;
+    }
+
+    spans.push(...offsetSpans(this.findSegmentSpans(text.slice(last)), last));
+    return spans;
+  }
+
+  /**
+   * Find logfmt pair spans (pairs from findLogfmtPairs), keeping each value's original quoting.
+   * 敏感键的值整体替换；其余值解码后再做文本检测（msg="login password: x"），有变化再按原引号形态写回。
+   */
+  findLogfmtSpans(text, { start, pairs }) {
+    // 前缀（时间戳、级别等自由文本）走普通文本检测
+    const spans = this.findSegmentSpans(text.slice(0, start));
+
+    for (const pair of pairs) {
+      if (pair.value === '') continue;
+
+      // 原值带引号则保持引号；裸值脱敏后出现空白/引号时必须补引号，否则破坏 logfmt 结构
+      const encode = (value) => (pair.quoted || /[\s"]/.test(value) ? encodeQuoted(value) : value);
+      if (this.isSensitiveKey(pair.key)) {
+        if (!this.isMaskedValue(pair.value)) {
+          spans.push(this.maskSpan({
+            start: pair.valueStart, end: pair.valueEnd, value: pair.value, label: pair.key,
+            rule: KEY_VALUE_STAT, encode
+          }));
+        }
+      } else {
+        const valueResult = this.scrubComposite(pair.value, this.findTextSpans(pair.value));
+        const span = this.compositeSpan(pair.valueStart, pair.valueEnd, 'logfmt_value', valueResult, encode);
+        if (span) spans.push(span);
+      }
+    }
+
+    return spans;
+  }
+
+  /**
+   * Record per-pattern match counts into statistics
+   */
+  addPatternMatches(matches) {
+    for (const [patternName, count] of Object.entries(matches)) {
+      this.stats.patternMatches[patternName] =
+        (this.stats.patternMatches[patternName] || 0) + count;
+    }
+  }
+
+  /**
+   * Process a single line through all scrubbing rules.
+   * 多行私钥块内的行返回 masked: null（由调用方跳过），整块在 END 行折叠输出。
+   */
+  processLine(line) {
+    try {
+      this.stats.totalLines++;
+      this.startLineBudget();
+      this.lineReplacements = this.recordReplacements ? new Map() : null;
+
+      // 如果未启用脱敏，直接返回原始行
+      if (this.enableMasking === false) {
+        return {
+          original: line,
+          masked: line,
+          hasChanges: false,
+          matches: {}
+        };
+      }
+
+      if (this.csvDelimiter) {
+        return this.processCsvLine(line);
+      }
+
+      const block = this.consumeKeyBlockLine(line);
+      if (block === null) {
         this.stats.maskedLines++;
+        this.lineReplacements = null;
+        return { original: line, masked: null, hasChanges: true, matches: {} };
       }
 
-      // Update pattern match statistics
-      for (const [patternName, count] of Object.entries(allMatches)) {
-        this.stats.patternMatches[patternName] =
-          (this.stats.patternMatches[patternName] || 0) + count;
+      const scrubbed = this.scrubText(block.text);
+      const matches = block.collapsed
+        ? { ...scrubbed.matches, private_key_block: 1 }
+        : scrubbed.matches;
+      const lineHasChanges = block.collapsed || scrubbed.hasChanges;
+
+      // Update statistics
+      if (lineHasChanges) {
+        this.stats.maskedLines++;
       }
+      this.addPatternMatches(matches);
 
-      return {
+      const lineResult = {
         original: line,
-        masked: result,
+        masked: scrubbed.masked,
         hasChanges: lineHasChanges,
-        matches: allMatches,
+        matches,
       };
+      if (this.lineReplacements) {
+        lineResult.replacements = this.lineReplacements;
+        this.lineReplacements = null;
+      }
+      return lineResult;
     } catch (error) {
-      this.stats.errors++;
-      console.error(
-        `Error processing line ${this.stats.totalLines}: ${error.message}`,
-        error.stack
-      );
+      this.lineReplacements = null;
+      // 令牌碰撞无法靠整行掩码兜底（保险库会缺条目），交由调用方让整个文件失败
+      if (isTokenCollisionError(error)) throw error;
+      this.recordLineError(error);
       return {
         original: line,
         masked: this.defaultMask, // fail-closed：整行替换，避免泄露敏感信息
         hasChanges: true,
         error: error.message,
       };
+    } finally {
+      this.lineDeadline = null;
+    }
+  }
+
+  /**
+   * Count a failed line: 超时计入 timeouts，其余计入 errors
+   */
+  recordLineError(error) {
+    if (isLineTimeoutError(error)) {
+      this.stats.timeouts++;
+      console.warn(`Line ${this.stats.totalLines} masked as a whole: ${error.message}`);
+      return;
+    }
+    this.stats.errors++;
+    console.error(
+      `Error processing line ${this.stats.totalLines}: ${error.message}`,
+      error.stack
+    );
+  }
+
+  /**
+   * processLine for CSV / TSV mode: 引号字段跨行时，前面的行返回 masked: null，
+   * 整条记录在最后一行输出（字段内换行统一为 \n）
+   */
+  processCsvLine(line) {
+    const record = this.consumeCsvLine(line);
+    if (record === null) {
+      this.lineReplacements = null;
+      return { original: line, masked: null, hasChanges: false, matches: {} };
+    }
+    return this.finishCsvRecord(line, record);
+  }
+
+  /**
+   * Mask a complete CSV record and record its statistics
+   */
+  finishCsvRecord(original, { text, fields }) {
+    const scrubbed = this.maskCsvRecord(text, fields);
+    if (scrubbed.hasChanges) {
+      this.stats.maskedLines++;
+    }
+    this.addPatternMatches(scrubbed.matches);
+
+    const lineResult = {
+      original,
+      masked: scrubbed.masked,
+      hasChanges: scrubbed.hasChanges,
+      matches: scrubbed.matches,
+    };
+    if (this.lineReplacements) {
+      lineResult.replacements = this.lineReplacements;
+      this.lineReplacements = null;
+    }
+    return lineResult;
+  }
+
+  /**
+   * Emit any key block or CSV record still open at end of input (call once after the last line).
+   * Returns a processLine-style result, or null when nothing is pending.
+   */
+  flush() {
+    if (this.pendingCsvLines) {
+      const lines = this.pendingCsvLines;
+      this.pendingCsvLines = null;
+      try {
+        this.startLineBudget();
+        this.lineReplacements = this.recordReplacements ? new Map() : null;
+        console.warn('Unterminated quoted CSV field at end of input, closing it');
+        const text = lines.join('\n');
+        return this.finishCsvRecord('', { text, fields: parseCsvRecord(text, this.csvDelimiter, true) });
+      } catch (error) {
+        this.lineReplacements = null;
+        // 令牌碰撞无法靠整行掩码兜底（保险库会缺条目），交由调用方让整个文件失败
+        if (isTokenCollisionError(error)) throw error;
+        this.recordLineError(error);
+        return { original: '', masked: this.defaultMask, hasChanges: true, error: error.message };
+      } finally {
+        this.lineDeadline = null;
+      }
+    }
+
+    const block = this.pendingKeyBlock;
+    if (!block) return null;
+    this.pendingKeyBlock = null;
+
+    try {
+      this.startLineBudget();
+      this.lineReplacements = this.recordReplacements ? new Map() : null;
+      console.warn(`Unterminated ${block.label} block at end of input, closing it`);
+      const scrubbed = this.scrubText(block.prefix + this.collapseKeyBlock(block));
+      const matches = { ...scrubbed.matches, private_key_block: 1 };
+      // 块内各行已计入 maskedLines，补发的折叠行不再重复计数
+      this.addPatternMatches(matches);
+
+      const lineResult = { original: '', masked: scrubbed.masked, hasChanges: true, matches };
+      if (this.lineReplacements) {
+        lineResult.replacements = this.lineReplacements;
+        this.lineReplacements = null;
+      }
+      return lineResult;
+    } catch (error) {
+      this.lineReplacements = null;
+      // 令牌碰撞无法靠整行掩码兜底（保险库会缺条目），交由调用方让整个文件失败
+      if (isTokenCollisionError(error)) throw error;
+      this.recordLineError(error);
+      return { original: '', masked: this.defaultMask, hasChanges: true, error: error.message };
+    } finally {
+      this.lineDeadline = null;
     }
   }
 
@@ -436,11 +1851,27 @@ class LogScrubber {
     return { ...this.stats };
   }
 
+  /**
+   * Cross-line state at the current line boundary: { keyBlock, sqlColumns } (structured-cloneable).
+   * CSV 模式的表头与跨行记录不在其中，CSV 文件不分片处理
+   */
+  getCarryState() {
+    return { keyBlock: this.pendingKeyBlock, sqlColumns: this.pendingSqlColumns };
+  }
+
+  /**
+   * Continue from the state another scrubber left at the end of the previous chunk of the same file
+   */
+  setCarryState(state) {
+    this.pendingKeyBlock = state && state.keyBlock ? state.keyBlock : null;
+    this.pendingSqlColumns = state && state.sqlColumns ? state.sqlColumns : null;
+  }
+
   /**
    * Generate a summary report
    */
   generateReport() {
-    const { totalLines, maskedLines, errors, patternMatches } = this.stats;
+    const { totalLines, maskedLines, errors, timeouts, patternMatches } = this.stats;
     const maskedPercentage =
       totalLines > 0 ? ((maskedLines / totalLines) * 100).toFixed(2) : "0.00";
 
@@ -448,6 +1879,7 @@ class LogScrubber {
     report += `  Total lines: ${totalLines}\n`;
     report += `  Lines with changes: ${maskedLines} (${maskedPercentage}%)\n`;
     report += `  Errors: ${errors}\n`;
+    report += `  Timeouts: ${timeouts}\n`;
 
     if (Object.keys(patternMatches).length > 0) {
       report += `  Pattern matches:\n`;
@@ -0,0 +1,111 @@
+/**
+ * Detection spans and overlap resolution
+ *
+ * 各检测器不再依次改写字符串，而是对同一份原文报告命中片段：
+ *   { start, end, rule, priority, text, matches? }
+ * text 为替换文本，或延迟生成替换文本的函数（只有被采纳的片段才生成掩码/假名）；
+ * 组合片段（如 JSON 字符串值、logfmt 值内部再做过一遍检测）另带 matches，即其内部的命中计数。
+ * 片段重叠时按 优先级 → 长度 → 起点 → 规则名 取舍，结果与检测器的执行顺序无关。
+ */
+
+const { applyEdits } = require('./json-spans');
+
+// 结构化检测（JSON/XML/URL/Cookie/SQL 等按字段名定位）> Authorization 头 > 敏感键值对 > 正则规则
+const SPAN_PRIORITY = {
+  structure: 40,
+  header: 30,
+  key: 20,
+  pattern: 10
+};
+
+/**
+ * Add per-rule match counts from source into target
+ */
+function mergeMatches(target, source) {
+  for (const [name, n] of Object.entries(source)) {
+    target[name] = (target[name] || 0) + n;
+  }
+  return target;
+}
+
+/**
+ * Shift spans found in a slice of a text (in place) so they index the whole text
+ */
+function offsetSpans(spans, offset) {
+  if (offset !== 0) {
+    for (const span of spans) {
+      span.start += offset;
+      span.end += offset;
+    }
+  }
+  return spans;
+}
+
+function compareSpans(a, b) {
+  return b.priority - a.priority
+    || (b.end - b.start) - (a.end - a.start)
+    || a.start - b.start
+    || (a.rule < b.rule ? -1 : a.rule > b.rule ? 1 : 0);
+}
+
+/**
+ * Pick a non-overlapping subset of spans, sorted by start.
+ * 按 compareSpans 的顺序逐个尝试，与已采纳片段重叠的丢弃（首尾相接不算重叠）
+ */
+function resolveSpans(spans) {
+  const accepted = [];
+
+  for (const span of [...spans].sort(compareSpans)) {
+    if (span.end <= span.start) continue;
+
+    // 二分找到插入位置，只需检查前后两个邻居
+    let low = 0;
+    let high = accepted.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (accepted[mid].start < span.start) low = mid + 1;
+      else high = mid;
+    }
+
+    const prev = accepted[low - 1];
+    const next = accepted[low];
+    if ((prev && prev.end > span.start) || (next && next.start < span.end)) continue;
+    accepted.splice(low, 0, span);
+  }
+
+  return accepted;
+}
+
+/**
+ * Resolve overlaps and splice the accepted spans into text in one pass.
+ * 替换后与原文相同的片段不计数。Returns { masked, hasChanges, matches }
+ */
+function applySpans(text, spans) {
+  const edits = [];
+  const matches = {};
+
+  for (const span of resolveSpans(spans)) {
+    const replacement = typeof span.text === 'function' ? span.text() : span.text;
+    if (replacement === text.slice(span.start, span.end)) continue;
+
+    edits.push({ start: span.start, end: span.end, text: replacement });
+    if (span.matches) {
+      mergeMatches(matches, span.matches);
+    } else {
+      matches[span.rule] = (matches[span.rule] || 0) + 1;
+    }
+  }
+
+  if (edits.length === 0) {
+    return { masked: text, hasChanges: false, matches };
+  }
+  return { masked: applyEdits(text, edits), hasChanges: true, matches };
+}
+
+module.exports = {
+  SPAN_PRIORITY,
+  mergeMatches,
+  offsetSpans,
+  resolveSpans,
+  applySpans
+};
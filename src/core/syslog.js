@@ -0,0 +1,123 @@
+/**
+ * RFC 5424 / RFC 3164 syslog header parser
+ *
+ * 解析头部字段与 RFC 5424 结构化数据（SD-ELEMENT）的原文位置，脱敏时只改写对应片段，
+ * 保证输出仍是合法的 syslog 行。消息体（MSG）交回常规流水线处理。
+ */
+
+// RFC 5424: [<PRI>]VERSION SP TIMESTAMP SP HOSTNAME SP APP-NAME SP PROCID SP MSGID SP
+// 落盘的日志常省略 <PRI>；时间戳为 ISO 8601 或 NILVALUE（-）
+const RFC5424_HEADER_REGEX = /^(?:<\d{1,3}>)?1 (?:-|\d{4}-\d{2}-\d{2}T\S+) (\S+) (\S+) (\S+) (\S+) /d;
+
+// RFC 3164: [<PRI>]Mmm dd hh:mm:ss HOSTNAME TAG[PID]: MSG
+const RFC3164_HEADER_REGEX = /^(?:<\d{1,3}>)?[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2} (\S+) ([^\s:[\]]+)(?:\[([^\]\s]+)\])?: ?/d;
+
+// SD-NAME：可打印 ASCII，不含空格、=、]、"
+const SD_NAME_REGEX = /[^\s="\]]+/y;
+
+function span(match, group) {
+  const [start, end] = match.indices[group];
+  return { start, end, value: match[group] };
+}
+
+/**
+ * Decode an SD-PARAM value body: only \" \\ \] are escapes (RFC 5424 §6.3.3)
+ */
+function decodeParamValue(body) {
+  return body.replace(/\\(["\\\]])/g, '$1');
+}
+
+/**
+ * Encode a value for use inside SD-PARAM quotes
+ */
+function encodeParamValue(value) {
+  return String(value).replace(/["\\\]]/g, '\\$&');
+}
+
+/**
+ * Parse the STRUCTURED-DATA part starting at pos.
+ * Returns { elements, end } or null when it is malformed.
+ * element: { id, params: [{ name, start, end, value }] }（start/end 为引号内的值的位置）
+ */
+function parseStructuredData(line, pos) {
+  if (line[pos] === '-') return { elements: [], end: pos + 1 };
+
+  const elements = [];
+  while (line[pos] === '[') {
+    SD_NAME_REGEX.lastIndex = pos + 1;
+    const id = SD_NAME_REGEX.exec(line);
+    if (!id) return null;
+    pos = SD_NAME_REGEX.lastIndex;
+
+    const params = [];
+    while (line[pos] === ' ') {
+      SD_NAME_REGEX.lastIndex = pos + 1;
+      const name = SD_NAME_REGEX.exec(line);
+      if (!name || line[SD_NAME_REGEX.lastIndex] !== '=' || line[SD_NAME_REGEX.lastIndex + 1] !== '"') {
+        return null;
+      }
+
+      const start = SD_NAME_REGEX.lastIndex + 2;
+      let i = start;
+      while (i < line.length && line[i] !== '"') {
+        i += line[i] === '\\' ? 2 : 1;
+      }
+      if (i >= line.length) return null;
+
+      params.push({ name: name[0], start, end: i, value: decodeParamValue(line.slice(start, i)) });
+      pos = i + 1;
+    }
+
+    if (line[pos] !== ']') return null;
+    pos++;
+    elements.push({ id: id[0], params });
+  }
+
+  return elements.length > 0 ? { elements, end: pos } : null;
+}
+
+/**
+ * Parse a syslog line header.
+ * Returns { format: '5424' | '3164', hostname, appName, procId, msgId, structuredData, msgStart } or null.
+ * 各头部字段为 { start, end, value }（不存在时为 null）；structuredData 为 SD-ELEMENT 列表
+ */
+function parseSyslogLine(line) {
+  if (typeof line !== 'string') return null;
+
+  const rfc5424 = RFC5424_HEADER_REGEX.exec(line);
+  if (rfc5424) {
+    const sd = parseStructuredData(line, rfc5424[0].length);
+    // SD 之后只能是行尾或 SP MSG
+    if (sd && (sd.end === line.length || line[sd.end] === ' ')) {
+      return {
+        format: '5424',
+        hostname: span(rfc5424, 1),
+        appName: span(rfc5424, 2),
+        procId: span(rfc5424, 3),
+        msgId: span(rfc5424, 4),
+        structuredData: sd.elements,
+        msgStart: Math.min(sd.end + 1, line.length)
+      };
+    }
+  }
+
+  const rfc3164 = RFC3164_HEADER_REGEX.exec(line);
+  if (rfc3164) {
+    return {
+      format: '3164',
+      hostname: span(rfc3164, 1),
+      appName: span(rfc3164, 2),
+      procId: rfc3164[3] !== undefined ? span(rfc3164, 3) : null,
+      msgId: null,
+      structuredData: [],
+      msgStart: rfc3164[0].length
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseSyslogLine,
+  encodeParamValue
+};
@@ -0,0 +1,72 @@
+/**
+ * URL locating and splitting helpers
+ *
+ * 在文本中定位 scheme://... 形式的 URL，并拆成 scheme / userinfo / host / path / query / fragment，
+ * 供按参数名脱敏查询串、掩码 userinfo 后原样拼回。
+ */
+
+// scheme://... 直到空白、引号或尖括号；jdbc:mysql://u:p@h 从 mysql:// 起算同样能拿到 userinfo
+const URL_REGEX = /\b[a-zA-Z][a-zA-Z0-9+.-]*:\/\/[^\s"'<>`]+/g;
+
+// URL 末尾常粘着句读或外层括号，不属于 URL 本身
+const TRAILING_PUNCTUATION_REGEX = /[.,;:!?]+$/;
+
+// [scheme://[userinfo@]host] path [?query] [#fragment]；userinfo 取到 host 前最后一个 @（密码里可能含 @）
+const URL_PARTS_REGEX = /^(?:((?:[a-zA-Z][\w+.-]*:)?\/\/)(?:([^/?#]*)@)?([^/?#]*))?([^?#]*)(?:\?([^#]*))?(#.*)?$/;
+
+/**
+ * Drop trailing punctuation and unbalanced closing brackets from a matched URL
+ */
+function trimUrl(url) {
+  let trimmed = url.replace(TRAILING_PUNCTUATION_REGEX, '');
+  for (const [open, close] of [['(', ')'], ['[', ']'], ['{', '}']]) {
+    while (trimmed.endsWith(close) && trimmed.split(open).length < trimmed.split(close).length) {
+      trimmed = trimmed.slice(0, -1).replace(TRAILING_PUNCTUATION_REGEX, '');
+    }
+  }
+  return trimmed;
+}
+
+/**
+ * Find URLs in a line. Returns [{ start, end }]
+ */
+function findUrls(text) {
+  const urls = [];
+  if (typeof text !== 'string' || text.indexOf('://') === -1) return urls;
+
+  for (const match of text.matchAll(URL_REGEX)) {
+    const url = trimUrl(match[0]);
+    if (url.length > match[0].indexOf('://') + 3) {
+      urls.push({ start: match.index, end: match.index + url.length });
+    }
+  }
+  return urls;
+}
+
+/**
+ * Split a URL (absolute or path-only) into its parts; absent parts are '' except
+ * userinfo / query, which are undefined when the URL has no @ / ?
+ */
+function splitUrl(url) {
+  const parts = URL_PARTS_REGEX.exec(url);
+  if (!parts) return null;
+  const [, scheme = '', userinfo, host = '', path = '', query, fragment = ''] = parts;
+  return { scheme, userinfo, host, path, query, fragment };
+}
+
+/**
+ * Percent-decode a URL component (+ as space in query strings); returns the input when malformed
+ */
+function decodeUrlComponent(text, plusAsSpace = false) {
+  try {
+    return decodeURIComponent(plusAsSpace ? text.replace(/\+/g, ' ') : text);
+  } catch (e) {
+    return text;
+  }
+}
+
+module.exports = {
+  findUrls,
+  splitUrl,
+  decodeUrlComponent
+};
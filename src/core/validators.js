@@ -0,0 +1,238 @@
+/**
+ * Checksum validators for pattern candidates
+ *
+ * 规则可声明 validate(match)：maskPatterns 对每个候选命中先校验，不通过的保持原样。
+ * 用校验位区分真实卡号/证件号与同形的订单号、SQL 数字，从而让这些规则可以默认启用。
+ */
+
+// GB 11643-1999 身份证前 17 位加权因子与校验码表
+const ID_CARD_WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+const ID_CARD_CHECK_CODES = '10X98765432';
+
+/**
+ * Luhn (mod 10) check for payment card numbers; spaces and dashes are ignored
+ */
+function isValidLuhn(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d{12,19}$/.test(digits)) return false;
+
+  // 行业标识（首位）：2-6 为各卡组织（6 含银联 62），9 为国内早期借记卡（如 9558）；
+  // 0/1/7/8 开头多为内部编号。全同数字（0000...）恰好满足 Luhn，单独排除
+  if (!/^[2-69]/.test(digits) || /^(\d)\1+$/.test(digits)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = digits.charCodeAt(digits.length - 1 - i) - 48;
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * GB 11643 mod 11-2 check digit for 18-digit Chinese resident ID numbers
+ */
+function isValidChineseIdCard(value) {
+  const id = String(value).toUpperCase();
+  if (!/^\d{17}[\dX]$/.test(id)) return false;
+
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    sum += (id.charCodeAt(i) - 48) * ID_CARD_WEIGHTS[i];
+  }
+  return ID_CARD_CHECK_CODES[sum % 11] === id[17];
+}
+
+/**
+ * ISO 7064 mod 97-10 check for IBANs; spaces are ignored
+ */
+function isValidIban(value) {
+  const iban = String(value).replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+
+  // 前 4 位移到末尾，字母按 A=10 … Z=35 展开，逐位取模避免大数
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const ch of rearranged) {
+    const code = ch.charCodeAt(0);
+    const chunk = code >= 65 ? String(code - 55) : ch;
+    for (const digit of chunk) {
+      remainder = (remainder * 10 + (digit.charCodeAt(0) - 48)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+/**
+ * Card track data (Track 1 / Track 2): the embedded PAN passes the Luhn check
+ */
+function isValidCardTrackData(value) {
+  const pan = /\d{12,19}/.exec(String(value));
+  return pan !== null && isValidLuhn(pan[0]);
+}
+
+// 香港身份证字母取值：A=10 … Z=35，单字母前缀补一个空格（取值 36）
+const HKID_SPACE_VALUE = 36;
+
+// 台湾身份证首字母对应的两位数（不按字母顺序：I、O、W 等后补）
+const TAIWAN_LETTER_CODES = {
+  A: 10, B: 11, C: 12, D: 13, E: 14, F: 15, G: 16, H: 17, I: 34, J: 18, K: 19, L: 20, M: 21,
+  N: 22, O: 35, P: 23, Q: 24, R: 25, S: 26, T: 27, U: 28, V: 29, W: 32, X: 30, Y: 31, Z: 33
+};
+
+// Verhoeff 校验的乘法表与置换表（Aadhaar）
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// 英国 NINO 不发放的前缀组合
+const NINO_INVALID_PREFIXES = new Set(['BG', 'GB', 'KN', 'NK', 'NT', 'TN', 'ZZ']);
+
+const digitValues = (text) => [...text].map((ch) => ch.charCodeAt(0) - 48);
+
+/**
+ * Hong Kong identity card: weighted mod 11 over the letter prefix and six digits; A(9)…A(0) style check
+ */
+function isValidHkid(value) {
+  const match = /^([A-Z]{1,2})(\d{6})\(?([0-9A])\)?$/.exec(String(value));
+  if (!match) return false;
+  const [, prefix, digits, check] = match;
+
+  const values = [
+    ...(prefix.length === 1 ? [HKID_SPACE_VALUE] : []),
+    ...[...prefix].map((ch) => ch.charCodeAt(0) - 55),
+    ...digitValues(digits)
+  ];
+  const sum = values.reduce((total, v, i) => total + v * (9 - i), 0)
+    + (check === 'A' ? 10 : Number(check));
+  return sum % 11 === 0;
+}
+
+/**
+ * Taiwan national ID / new-style resident certificate: letter code plus nine digits, weighted mod 10
+ */
+function isValidTaiwanId(value) {
+  const id = String(value);
+  if (!/^[A-Z][1289]\d{8}$/.test(id)) return false;
+  const code = TAIWAN_LETTER_CODES[id[0]];
+  const weights = [8, 7, 6, 5, 4, 3, 2, 1, 1];
+  const sum = Math.floor(code / 10) + (code % 10) * 9
+    + digitValues(id.slice(1)).reduce((total, d, i) => total + d * weights[i], 0);
+  return sum % 10 === 0;
+}
+
+/**
+ * Japanese Individual Number (My Number): 12 digits, mod 11 check digit; spaces and dashes are ignored
+ */
+function isValidMyNumber(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d{12}$/.test(digits) || /^(\d)\1+$/.test(digits)) return false;
+  // 权重按从右数第 n 位（不含校验位）：n ≤ 6 时 n + 1，否则 n - 5
+  let sum = 0;
+  for (let n = 1; n <= 11; n++) {
+    sum += (digits.charCodeAt(11 - n) - 48) * (n <= 6 ? n + 1 : n - 5);
+  }
+  const remainder = sum % 11;
+  return Number(digits[11]) === (remainder <= 1 ? 0 : 11 - remainder);
+}
+
+/**
+ * Korean resident registration number: valid birth date and gender/century digit,
+ * plus the mod 11 check digit when written without the dash.
+ * 2020 年 10 月起新发号码的后 6 位随机、不再满足校验位，带 - 的写法只校验生日与性别位，避免漏掉
+ */
+function isValidKoreanRrn(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})(-?)(\d)(\d{6})$/.exec(String(value));
+  if (!match) return false;
+  const [, yy, mm, dd, dash, gender] = match;
+
+  const century = { 9: 1800, 0: 1800, 1: 1900, 2: 1900, 5: 1900, 6: 1900, 3: 2000, 4: 2000, 7: 2000, 8: 2000 }[gender];
+  const date = new Date(Date.UTC(century + Number(yy), Number(mm) - 1, Number(dd)));
+  if (date.getUTCMonth() !== Number(mm) - 1 || date.getUTCDate() !== Number(dd)) return false;
+  if (dash) return true;
+
+  const digits = digitValues(String(value));
+  const weights = [2, 3, 4, 5, 6, 7, 8, 9, 2, 3, 4, 5];
+  const sum = weights.reduce((total, w, i) => total + digits[i] * w, 0);
+  return digits[12] === (11 - (sum % 11)) % 10;
+}
+
+/**
+ * Indian Aadhaar: 12 digits not starting with 0 or 1, Verhoeff check digit; spaces and dashes are ignored
+ */
+function isValidAadhaar(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^[2-9]\d{11}$/.test(digits)) return false;
+  let c = 0;
+  for (let i = 0; i < digits.length; i++) {
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][digits.charCodeAt(digits.length - 1 - i) - 48]];
+  }
+  return c === 0;
+}
+
+/**
+ * Brazilian CPF: two mod 11 check digits; dots and dash are ignored
+ */
+function isValidCpf(value) {
+  const digits = String(value).replace(/[.-]/g, '');
+  if (!/^\d{11}$/.test(digits) || /^(\d)\1+$/.test(digits)) return false;
+  const values = digitValues(digits);
+  for (const length of [9, 10]) {
+    const sum = values.slice(0, length).reduce((total, d, i) => total + d * (length + 1 - i), 0);
+    if ((sum * 10) % 11 % 10 !== values[length]) return false;
+  }
+  return true;
+}
+
+/**
+ * Brazilian CNPJ, numeric or the alphanumeric form issued from July 2026: two mod 11 check digits.
+ * 字母按 ASCII 码减 48 取值（与数字同一公式）；. / - 忽略
+ */
+function isValidCnpj(value) {
+  const id = String(value).replace(/[./-]/g, '');
+  if (!/^[A-Z0-9]{12}\d{2}$/.test(id) || /^(.)\1+$/.test(id)) return false;
+  const values = digitValues(id);
+  const weights = [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+  for (const length of [12, 13]) {
+    const sum = values.slice(0, length).reduce((total, v, i) => total + v * weights[i + 13 - length], 0);
+    const remainder = sum % 11;
+    if ((remainder < 2 ? 0 : 11 - remainder) !== values[length]) return false;
+  }
+  return true;
+}
+
+/**
+ * UK National Insurance number. NINO 没有校验位，按 HMRC 的发放规则校验：
+ * 首字母不为 D F I Q U V，次字母另不为 O，且不是 BG GB KN NK NT TN ZZ 等不发放的前缀
+ */
+function isValidNino(value) {
+  const nino = String(value).replace(/\s+/g, '');
+  if (!/^[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z]\d{6}[A-D]$/.test(nino)) return false;
+  return !NINO_INVALID_PREFIXES.has(nino.slice(0, 2));
+}
+
+module.exports = {
+  isValidLuhn,
+  isValidChineseIdCard,
+  isValidIban,
+  isValidCardTrackData,
+  isValidHkid,
+  isValidTaiwanId,
+  isValidMyNumber,
+  isValidKoreanRrn,
+  isValidAadhaar,
+  isValidCpf,
+  isValidCnpj,
+  isValidNino
+};
@@ -0,0 +1,153 @@
+/**
+ * Encrypted mapping vault (token → original value) for reversible masking
+ *
+ * 保险库是 .masked.log 旁的加密侧车文件：scrypt 由口令派生密钥，AES-256-GCM 加密
+ * “令牌 → 原值” 映射。脱敏输出本身只含假名令牌，没有保险库和口令无法还原。
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const VAULT_SUFFIX = '.vault';
+const VAULT_VERSION = 1;
+
+// scrypt 参数（N=2^15 约 32MB 内存、数十毫秒，只在写入/还原时各派生一次）
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Derive the AES key from the vault password
+ */
+function deriveKey(password, salt) {
+  if (typeof password !== 'string' || !password) {
+    throw new Error('保险库口令不能为空');
+  }
+  return crypto.scryptSync(password, salt, KEY_LENGTH, SCRYPT_PARAMS);
+}
+
+/**
+ * Encrypt token → original entries into the vault file payload (JSON text)
+ */
+function encryptVault(entries, password) {
+  const mapping = entries instanceof Map ? Object.fromEntries(entries) : { ...(entries || {}) };
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const key = deriveKey(password, salt);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const plaintext = Buffer.from(JSON.stringify(mapping), 'utf8');
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return JSON.stringify({
+    version: VAULT_VERSION,
+    kdf: 'scrypt',
+    cipher: 'aes-256-gcm',
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: tag.toString('base64'),
+    data: data.toString('base64')
+  });
+}
+
+/**
+ * Decrypt a vault payload, returning Map<token, original>
+ */
+function decryptVault(payload, password) {
+  let envelope;
+  try {
+    envelope = JSON.parse(Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload));
+  } catch (e) {
+    throw new Error('保险库文件格式无效');
+  }
+
+  if (!envelope || envelope.version !== VAULT_VERSION || envelope.cipher !== 'aes-256-gcm') {
+    throw new Error('不支持的保险库版本');
+  }
+
+  try {
+    const key = deriveKey(password, Buffer.from(envelope.salt, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final()
+    ]);
+    return new Map(Object.entries(JSON.parse(plaintext.toString('utf8'))));
+  } catch (e) {
+    if (e && e.message === '保险库口令不能为空') throw e;
+    // GCM 认证失败与口令错误不可区分，统一提示，避免给出口令探测线索
+    throw new Error('保险库口令错误或文件已损坏');
+  }
+}
+
+/**
+ * Merge token → original pairs into the vault entries.
+ * 同一令牌对应不同原值（摘要碰撞）时抛错：保险库只能存一个原值，静默覆盖会让还原结果出错
+ */
+function addVaultEntries(entries, replacements) {
+  for (const [token, original] of replacements) {
+    const existing = entries.get(token);
+    if (existing !== undefined && existing !== original) {
+      const error = new Error(`假名令牌 ${token} 对应多个不同原值，保险库无法还原`);
+      error.code = 'VAULT_TOKEN_COLLISION';
+      throw error;
+    }
+    entries.set(token, original);
+  }
+}
+
+/**
+ * 检查是否为假名令牌碰撞错误
+ */
+function isTokenCollisionError(error) {
+  return Boolean(error) && error.code === 'VAULT_TOKEN_COLLISION';
+}
+
+/**
+ * Write the vault file atomically (temp file + rename)
+ */
+function writeVaultFile(filePath, entries, password) {
+  const tempPath = filePath + '.tmp.' + process.pid + '.' + Date.now();
+  try {
+    fs.writeFileSync(tempPath, encryptVault(entries, password), { encoding: 'utf8', mode: 0o600 });
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      try { fs.unlinkSync(tempPath); } catch (_) {}
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read and decrypt a vault file
+ */
+function readVaultFile(filePath, password) {
+  return decryptVault(fs.readFileSync(filePath), password);
+}
+
+/**
+ * Look up the original value of one token; returns null when the token is unknown
+ */
+function revealToken(filePath, token, password) {
+  const mapping = readVaultFile(filePath, password);
+  const key = String(token || '').trim();
+  return mapping.has(key) ? mapping.get(key) : null;
+}
+
+module.exports = {
+  VAULT_SUFFIX,
+  encryptVault,
+  decryptVault,
+  addVaultEntries,
+  isTokenCollisionError,
+  writeVaultFile,
+  readVaultFile,
+  revealToken
+};
@@ -0,0 +1,143 @@
+/**
+ * Lenient XML tokenizer with source spans
+ *
+ * 日志中的 XML/SOAP 报文常带前缀、被截断或与文本混排，这里不做完整校验：
+ * 只识别标签、属性、文本与 CDATA，并记录原文位置，脱敏时按片段改写，其余标记原样保留。
+ * 无法构成标签的 < （如 "a < b"）按普通文本处理。
+ */
+
+const NAME = '[A-Za-z_][\\w.-]*(?::[A-Za-z_][\\w.-]*)?';
+
+const OPEN_TAG_REGEX = new RegExp(`<(${NAME})`, 'y');
+const CLOSE_TAG_REGEX = new RegExp(`</(${NAME})\\s*>`, 'y');
+const ATTRIBUTE_REGEX = new RegExp(`\\s+(${NAME})\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'y');
+const TAG_END_REGEX = /\s*(\/?)>/y;
+
+const CDATA_OPEN = '<![CDATA[';
+const CDATA_CLOSE = ']]>';
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Decode the predefined XML entities and numeric character references
+ */
+function decodeXmlText(text) {
+  return text.replace(/&(?:#x([0-9a-fA-F]+)|#(\d+)|(lt|gt|amp|quot|apos));/g, (match, hex, dec, named) => {
+    if (named) return ENTITIES[named];
+    const code = hex ? parseInt(hex, 16) : parseInt(dec, 10);
+    return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+/**
+ * Local part of a qualified name: wsse:Password → Password
+ */
+function localName(name) {
+  return name.slice(name.lastIndexOf(':') + 1);
+}
+
+/**
+ * Parse attributes and the end of an open tag starting after its name.
+ * Returns { attrs, end, selfClosing } or null when the tag is not well-formed.
+ */
+function parseTagRest(text, pos) {
+  const attrs = [];
+  for (;;) {
+    ATTRIBUTE_REGEX.lastIndex = pos;
+    const attr = ATTRIBUTE_REGEX.exec(text);
+    if (!attr) break;
+
+    const quoted = attr[2] !== undefined ? attr[2] : attr[3];
+    const valueEnd = ATTRIBUTE_REGEX.lastIndex - 1;
+    attrs.push({ name: attr[1], start: valueEnd - quoted.length, end: valueEnd, value: quoted });
+    pos = ATTRIBUTE_REGEX.lastIndex;
+  }
+
+  TAG_END_REGEX.lastIndex = pos;
+  const end = TAG_END_REGEX.exec(text);
+  if (!end) return null;
+  return { attrs, end: TAG_END_REGEX.lastIndex, selfClosing: end[1] === '/' };
+}
+
+/**
+ * Split text into XML tokens:
+ * - { type: 'open' | 'selfclose', name, start, end, attrs: [{ name, start, end, value }] }
+ * - { type: 'close', name, start, end }
+ * - { type: 'text', start, end } / { type: 'cdata', start, end }（cdata 的位置不含 <![CDATA[ 与 ]]>）
+ * 注释与 <? ?> / <! > 声明不产生记号。没有任何元素标签时返回空数组。
+ */
+function tokenizeXml(text) {
+  const tokens = [];
+  if (typeof text !== 'string' || text.indexOf('<') === -1) return tokens;
+
+  let hasElement = false;
+  let textStart = 0;
+  let pos = 0;
+
+  const flushText = (end) => {
+    if (end > textStart) tokens.push({ type: 'text', start: textStart, end });
+  };
+
+  while ((pos = text.indexOf('<', pos)) !== -1) {
+    let token = null;
+    let next = -1;
+
+    if (text.startsWith(CDATA_OPEN, pos)) {
+      const close = text.indexOf(CDATA_CLOSE, pos + CDATA_OPEN.length);
+      if (close !== -1) {
+        token = { type: 'cdata', start: pos + CDATA_OPEN.length, end: close };
+        next = close + CDATA_CLOSE.length;
+      }
+    } else if (text.startsWith('<!--', pos)) {
+      const close = text.indexOf('-->', pos + 4);
+      if (close !== -1) next = close + 3;
+    } else if (text[pos + 1] === '?' || text[pos + 1] === '!') {
+      const close = text.indexOf('>', pos);
+      if (close !== -1) next = close + 1;
+    } else if (text[pos + 1] === '/') {
+      CLOSE_TAG_REGEX.lastIndex = pos;
+      const close = CLOSE_TAG_REGEX.exec(text);
+      if (close) {
+        token = { type: 'close', name: close[1], start: pos, end: CLOSE_TAG_REGEX.lastIndex };
+        next = CLOSE_TAG_REGEX.lastIndex;
+      }
+    } else {
+      OPEN_TAG_REGEX.lastIndex = pos;
+      const open = OPEN_TAG_REGEX.exec(text);
+      const rest = open && parseTagRest(text, OPEN_TAG_REGEX.lastIndex);
+      if (rest) {
+        token = {
+          type: rest.selfClosing ? 'selfclose' : 'open',
+          name: open[1],
+          start: pos,
+          end: rest.end,
+          attrs: rest.attrs
+        };
+        next = rest.end;
+      }
+    }
+
+    if (next === -1) {
+      // 不构成标签的 <：作为文本的一部分继续
+      pos++;
+      continue;
+    }
+
+    flushText(pos);
+    if (token) {
+      tokens.push(token);
+      if (token.type !== 'cdata') hasElement = true;
+    }
+    pos = next;
+    textStart = next;
+  }
+  flushText(text.length);
+
+  return hasElement ? tokens : [];
+}
+
+module.exports = {
+  tokenizeXml,
+  decodeXmlText,
+  localName
+};
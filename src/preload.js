@@ -25,10 +25,14 @@ const VALID_INVOKE_CHANNELS = [
   'process:pause',
   'process:resume',
   'process:cancel',
+  // 保险库
+  'vault:reveal',
   // 配置
   'config:getDefault',
   'config:save',
   'config:load',
+  // 自定义规则
+  'rules:test',
   // 系统
   'shell:openPath',
   'shell:showItemInFolder',
@@ -110,6 +114,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // 保险库相关
+  vault: {
+    reveal: (vaultPath, token, password) => {
+      if (!isValidInvokeChannel('vault:reveal')) return Promise.reject(new Error('Invalid channel'));
+      return ipcRenderer.invoke('vault:reveal', vaultPath, token, password);
+    }
+  },
+
   // 配置相关
   config: {
     getDefault: () => {
@@ -126,6 +138,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     }
   },
 
+  // 自定义规则
+  rules: {
+    test: (rule, sample) => {
+      if (!isValidInvokeChannel('rules:test')) return Promise.reject(new Error('Invalid channel'));
+      return ipcRenderer.invoke('rules:test', rule, sample);
+    }
+  },
+
   // 系统相关
   shell: {
     openPath: (filePath) => {
@@ -14,6 +14,7 @@ class LogScrubberApp {
     this.isPaused = false;
     this.isCancelling = false;
     this.currentConfig = null;
+    this.lastVaultPath = '';
 
     this.init();
   }
@@ -84,6 +85,12 @@ class LogScrubberApp {
       helpBtn.addEventListener('click', () => this.showHelp());
     }
 
+    // 还原令牌按钮
+    const revealBtn = document.getElementById('revealBtn');
+    if (revealBtn) {
+      revealBtn.addEventListener('click', () => this.showRevealDialog(this.lastVaultPath));
+    }
+
     // 初始化UI状态
     this.updateUI();
   }
@@ -118,6 +125,16 @@ class LogScrubberApp {
       this.currentConfig = {
         options: { outputSuffix: '.masked.log', encoding: 'utf8', concurrency: 4 },
         sensitiveKeys: [],
+        keyAllowlist: [],
+        fieldRules: [],
+        keyActions: {},
+        accessLogFields: {},
+        cookieNames: [],
+        csvColumns: {},
+        csvHeader: [],
+        entropy: null,
+        customRules: [],
+        rulePacks: [],
         patterns: [],
         defaultMask: '***'
       };
@@ -151,6 +168,48 @@ class LogScrubberApp {
           mergedConfig.patterns = userConfig.patterns;
         }
 
+        // 白名单允许为空（不豁免任何键名），数组即采用
+        if (Array.isArray(userConfig.keyAllowlist)) {
+          mergedConfig.keyAllowlist = userConfig.keyAllowlist;
+        }
+
+        // 字段规则允许为空（用户可以删光），数组即采用
+        if (Array.isArray(userConfig.fieldRules)) {
+          mergedConfig.fieldRules = userConfig.fieldRules;
+        }
+
+        if (userConfig.keyActions && typeof userConfig.keyActions === 'object') {
+          mergedConfig.keyActions = userConfig.keyActions;
+        }
+
+        if (userConfig.accessLogFields && typeof userConfig.accessLogFields === 'object') {
+          mergedConfig.accessLogFields = { ...defaultConfig.accessLogFields, ...userConfig.accessLogFields };
+        }
+
+        if (Array.isArray(userConfig.cookieNames)) {
+          mergedConfig.cookieNames = userConfig.cookieNames;
+        }
+
+        if (userConfig.csvColumns && typeof userConfig.csvColumns === 'object') {
+          mergedConfig.csvColumns = userConfig.csvColumns;
+        }
+
+        if (Array.isArray(userConfig.csvHeader)) {
+          mergedConfig.csvHeader = userConfig.csvHeader;
+        }
+
+        if (userConfig.entropy && typeof userConfig.entropy === 'object') {
+          mergedConfig.entropy = userConfig.entropy;
+        }
+
+        if (Array.isArray(userConfig.customRules)) {
+          mergedConfig.customRules = userConfig.customRules;
+        }
+
+        if (Array.isArray(userConfig.rulePacks)) {
+          mergedConfig.rulePacks = userConfig.rulePacks;
+        }
+
         // 合并其他字段
         if (typeof userConfig.defaultMask === 'string') {
           mergedConfig.defaultMask = userConfig.defaultMask;
@@ -190,6 +249,12 @@ class LogScrubberApp {
       return;
     }
 
+    const vaultEnabled = this.configPanel && this.configPanel.getConfig().options?.enableVault === true;
+    if (vaultEnabled && !this.configPanel.getVaultPassword()) {
+      this.showError('启用保险库时必须填写保险库口令');
+      return;
+    }
+
     try {
       this.isProcessing = true;
       this.isPaused = false;
@@ -284,16 +349,33 @@ class LogScrubberApp {
 
     return {
       outputDir: opts.outputDir || null,
+      vaultPassword: opts.enableVault === true ? this.configPanel.getVaultPassword() : null,
       scrubberOptions: {
         sensitiveKeys: config.sensitiveKeys,
+        keyAllowlist: config.keyAllowlist,
+        fieldRules: config.fieldRules,
+        keyActions: config.keyActions,
+        accessLogFields: config.accessLogFields,
+        cookieNames: config.cookieNames,
+        csvColumns: config.csvColumns,
+        csvHeader: config.csvHeader,
+        entropy: config.entropy,
+        customRules: config.customRules,
+        rulePacks: config.rulePacks,
         patterns: config.patterns,
         defaultMask: config.defaultMask || '***',
         enableMasking: opts.enableMasking !== false,
-        maskUrlParams: opts.maskUrlParams !== false
+        maskUrlParams: opts.maskUrlParams !== false,
+        maskUrlPath: opts.maskUrlPath === true,
+        maskStrategy: opts.maskStrategy || 'mask',
+        accessLogFormat: opts.accessLogFormat || '',
+        pseudonymizeHostnames: opts.pseudonymizeHostnames === true,
+        pseudonymSecret: this.configPanel.getPseudonymSecret()
       },
       outputSuffix: opts.outputSuffix || '.masked.log',
       encoding: opts.encoding || 'utf8',
       concurrency: opts.concurrency || 4,
+      csvMode: opts.csvMode || 'auto',
       skipBinaryFiles: opts.skipBinaryFiles !== false
     };
   }
@@ -360,6 +442,9 @@ class LogScrubberApp {
   }
 
   showResults(data) {
+    const withVault = (data.results || []).find(r => r.success && r.vaultPath);
+    if (withVault) this.lastVaultPath = withVault.vaultPath;
+
     const modal = document.getElementById('resultModal');
     const summaryEl = document.getElementById('resultSummary');
 
@@ -383,6 +468,9 @@ class LogScrubberApp {
       }
     });
 
+    // 规则包名称来自主进程的内置目录（同一批次各文件相同）
+    const rulePacks = data.results.find((result) => Array.isArray(result.rulePacks))?.rulePacks || [];
+
     summaryEl.innerHTML = `
       <h4>处理完成</h4>
       <div class="result-stats">
@@ -407,6 +495,11 @@ class LogScrubberApp {
           <span class="stat-label">脱敏行数</span>
         </div>
       </div>
+      ${rulePacks.length > 0 ? `
+        <div class="alert alert-info">
+          <strong>合规规则包:</strong> ${rulePacks.join('、')}
+        </div>
+      ` : ''}
       ${failed.length > 0 ? `
         <div class="alert alert-warning">
           <strong>注意:</strong> ${failed.length} 个文件处理失败
@@ -427,6 +520,7 @@ class LogScrubberApp {
     const closeBtn = document.getElementById('closeResultModal');
     const openFolderBtn = document.getElementById('openOutputFolderBtn');
     const exportLogBtn = document.getElementById('exportLogBtn');
+    const revealTokenBtn = document.getElementById('revealTokenBtn');
 
     // 关闭对话框
     if (closeBtn) {
@@ -453,6 +547,13 @@ class LogScrubberApp {
       });
     }
 
+    // 还原令牌（仅在写出了保险库时显示）
+    if (revealTokenBtn) {
+      const withVault = data.results.find(r => r.success && r.vaultPath);
+      revealTokenBtn.style.display = withVault ? '' : 'none';
+      revealTokenBtn.onclick = () => this.showRevealDialog(withVault ? withVault.vaultPath : '');
+    }
+
     // 点击背景关闭
     modal.addEventListener('click', (e) => {
       if (e.target === modal) {
@@ -478,6 +579,9 @@ class LogScrubberApp {
       for (const result of successful) {
         logContent += `${result.inputPath}\n`;
         logContent += `  输出: ${result.outputPath}\n`;
+        if (result.vaultPath) {
+          logContent += `  保险库: ${result.vaultPath}\n`;
+        }
         logContent += `  行数: ${result.stats?.totalLines || 0}\n`;
         logContent += `  脱敏: ${result.stats?.maskedLines || 0}\n\n`;
       }
@@ -586,6 +690,88 @@ class LogScrubberApp {
     document.body.appendChild(modal);
   }
 
+  /**
+   * 按令牌从保险库还原原值
+   */
+  showRevealDialog(vaultPath = '') {
+    const modal = document.createElement('div');
+    modal.className = 'modal active';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h3>还原令牌</h3>
+          <button class="btn btn-icon modal-close" type="button">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+              <path d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z"/>
+            </svg>
+          </button>
+        </div>
+        <div class="modal-body">
+          <div class="form-group">
+            <label>保险库文件</label>
+            <input type="text" class="form-input" data-field="vaultPath" placeholder="xxx.masked.log.vault">
+          </div>
+          <div class="form-group">
+            <label>令牌</label>
+            <input type="text" class="form-input" data-field="token" placeholder="例如 PASSWORD_1a2b3c4d5e6f7a8b">
+          </div>
+          <div class="form-group">
+            <label>保险库口令</label>
+            <input type="password" class="form-input" data-field="password" autocomplete="off">
+          </div>
+          <div class="form-group">
+            <label>原值</label>
+            <input type="text" class="form-input" data-field="value" readonly>
+          </div>
+          <div class="result-actions">
+            <button class="btn btn-primary" type="button" data-action="reveal">还原</button>
+          </div>
+        </div>
+      </div>
+    `;
+
+    // 路径通过 value 赋值而非拼接 HTML，避免注入
+    const field = (name) => modal.querySelector(`[data-field="${name}"]`);
+    field('vaultPath').value = vaultPath || '';
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') cleanup();
+    };
+
+    const cleanup = () => {
+      document.removeEventListener('keydown', onKeyDown);
+      modal.remove();
+    };
+
+    const closeBtn = modal.querySelector('.modal-close');
+    if (closeBtn) closeBtn.addEventListener('click', cleanup);
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) cleanup();
+    });
+
+    const revealBtn = modal.querySelector('[data-action="reveal"]');
+    revealBtn.addEventListener('click', async () => {
+      field('value').value = '';
+      try {
+        const res = await window.electronAPI.vault.reveal(
+          field('vaultPath').value.trim(),
+          field('token').value.trim(),
+          field('password').value
+        );
+        if (!res || res.ok !== true) {
+          throw new Error(res?.error || '还原失败');
+        }
+        field('value').value = res.value;
+      } catch (error) {
+        this.showError('还原失败: ' + (error?.message || String(error)));
+      }
+    });
+
+    document.addEventListener('keydown', onKeyDown);
+    document.body.appendChild(modal);
+  }
+
   showError(message) {
     this.showMessage(message, 'error', '错误');
   }
@@ -2,10 +2,23 @@
  * 配置面板组件
  */
 
+// 高熵串检测参数 → 高级选项中的输入框 id
+const ENTROPY_INPUTS = {
+  minLength: 'entropyMinLength',
+  hex: 'entropyHexThreshold',
+  base64: 'entropyBase64Threshold',
+  contextBoost: 'entropyContextBoost'
+};
+
 class ConfigPanel {
   constructor() {
     this.config = null;
     this.defaultConfig = null;
+    // 规则编辑器：正在编辑的规则名（null 为新建）与实时测试的防抖计时器
+    this.editingRuleName = null;
+    this.ruleTestTimer = null;
+    // 合规规则包目录（主进程 config:getDefault 提供，只用于展示，不随配置保存）
+    this.rulePackCatalog = [];
 
     this.init();
   }
@@ -30,6 +43,18 @@ class ConfigPanel {
     // 监听配置变化
     this.setupConfigChangeListeners();
 
+    // 自定义规则编辑器
+    this.setupCustomRuleEditor();
+
+    // 合规规则包
+    const rulePackList = document.getElementById('rulePackList');
+    if (rulePackList) {
+      rulePackList.addEventListener('change', () => {
+        this.applyRulePackLocks();
+        this.onConfigChange();
+      });
+    }
+
     // 监听分类折叠
     this.setupCollapsibleListeners();
   }
@@ -83,18 +108,115 @@ class ConfigPanel {
       maskUrlParams.addEventListener('change', () => this.onConfigChange());
     }
 
+    const maskUrlPath = document.getElementById('maskUrlPath');
+    if (maskUrlPath) {
+      maskUrlPath.addEventListener('change', () => this.onConfigChange());
+    }
+
     const skipBinaryFiles = document.getElementById('skipBinaryFiles');
     if (skipBinaryFiles) {
       skipBinaryFiles.addEventListener('change', () => this.onConfigChange());
     }
+
+    const maskStrategy = document.getElementById('maskStrategy');
+    if (maskStrategy) {
+      maskStrategy.addEventListener('change', () => this.onConfigChange());
+    }
+
+    const enableVault = document.getElementById('enableVault');
+    if (enableVault) {
+      enableVault.addEventListener('change', () => this.onConfigChange());
+    }
+
+    const pseudonymizeHostnames = document.getElementById('pseudonymizeHostnames');
+    if (pseudonymizeHostnames) {
+      pseudonymizeHostnames.addEventListener('change', () => this.onConfigChange());
+    }
+
+    const accessLogFormat = document.getElementById('accessLogFormat');
+    if (accessLogFormat) {
+      accessLogFormat.addEventListener('input', () => this.onConfigChange());
+    }
+
+    const csvMode = document.getElementById('csvMode');
+    if (csvMode) {
+      csvMode.addEventListener('change', () => this.onConfigChange());
+    }
+
+    const fieldRules = document.getElementById('fieldRules');
+    if (fieldRules) {
+      fieldRules.addEventListener('input', () => this.onConfigChange());
+    }
+
+    // 高熵串检测参数
+    Object.values(ENTROPY_INPUTS).forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('input', () => this.onConfigChange());
+      }
+    });
+  }
+
+  setupCustomRuleEditor() {
+    const saveBtn = document.getElementById('saveCustomRuleBtn');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => this.saveCustomRule());
+    }
+
+    const clearBtn = document.getElementById('clearCustomRuleBtn');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => this.clearCustomRuleForm());
+    }
+
+    // 任一字段或测试文本变化都重新试运行
+    ['customRuleSource', 'customRuleFlags', 'customRuleReplacement', 'customRuleSample'].forEach((id) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('input', () => this.scheduleCustomRuleTest());
+      }
+    });
+
+    // 列表内的启用开关、编辑、删除
+    const list = document.getElementById('customRuleList');
+    if (list) {
+      list.addEventListener('change', (e) => {
+        const rule = this.findCustomRule(e.target.dataset.ruleName);
+        if (rule) {
+          rule.enabled = e.target.checked;
+          this.onConfigChange();
+        }
+      });
+      list.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-rule-name]');
+        if (!button) return;
+        if (button.dataset.action === 'edit') {
+          this.editCustomRule(button.dataset.ruleName);
+        } else if (button.dataset.action === 'delete') {
+          this.deleteCustomRule(button.dataset.ruleName);
+        }
+      });
+    }
   }
 
   setConfig(config) {
     // 统一配置结构：支持嵌套 options 和扁平结构
     if (config && typeof config === 'object') {
+      if (Array.isArray(config.rulePackCatalog)) {
+        this.rulePackCatalog = config.rulePackCatalog;
+      }
       this.config = {
         patterns: config.patterns || [],
         sensitiveKeys: config.sensitiveKeys || [],
+        keyAllowlist: Array.isArray(config.keyAllowlist) ? config.keyAllowlist : [],
+        fieldRules: Array.isArray(config.fieldRules) ? config.fieldRules : [],
+        keyActions: (config.keyActions && typeof config.keyActions === 'object') ? config.keyActions : {},
+        accessLogFields: (config.accessLogFields && typeof config.accessLogFields === 'object') ? config.accessLogFields : {},
+        cookieNames: Array.isArray(config.cookieNames) ? config.cookieNames : [],
+        csvColumns: (config.csvColumns && typeof config.csvColumns === 'object') ? config.csvColumns : {},
+        csvHeader: Array.isArray(config.csvHeader) ? config.csvHeader : [],
+        entropy: (config.entropy && typeof config.entropy === 'object') ? config.entropy : null,
+        customRules: Array.isArray(config.customRules) ? config.customRules.map((rule) => ({ ...rule })) : [],
+        rulePacks: Array.isArray(config.rulePacks) ? [...config.rulePacks] : [],
         defaultMask: config.defaultMask || '***',
         options: {
           ...(config.options || {}),
@@ -105,7 +227,13 @@ class ConfigPanel {
           concurrency: config.concurrency || config.options?.concurrency || 4,
           enableMasking: config.enableMasking ?? config.options?.enableMasking ?? true,
           maskUrlParams: config.maskUrlParams ?? config.options?.maskUrlParams ?? true,
-          skipBinaryFiles: config.skipBinaryFiles ?? config.options?.skipBinaryFiles ?? true
+          maskUrlPath: config.options?.maskUrlPath === true,
+          skipBinaryFiles: config.skipBinaryFiles ?? config.options?.skipBinaryFiles ?? true,
+          maskStrategy: config.options?.maskStrategy === 'pseudonymize' ? 'pseudonymize' : 'mask',
+          enableVault: config.options?.enableVault === true,
+          pseudonymizeHostnames: config.options?.pseudonymizeHostnames === true,
+          accessLogFormat: typeof config.options?.accessLogFormat === 'string' ? config.options.accessLogFormat : '',
+          csvMode: ['auto', 'csv', 'tsv', 'off'].includes(config.options?.csvMode) ? config.options.csvMode : 'auto'
         }
       };
     } else {
@@ -128,6 +256,16 @@ class ConfigPanel {
     return {
       patterns: this.getEnabledPatterns(),
       sensitiveKeys: this.config?.sensitiveKeys || [],
+      keyAllowlist: this.config?.keyAllowlist || [],
+      fieldRules: this.parseFieldRules(this.getInputValue('fieldRules', this.formatFieldRules(this.config?.fieldRules))).rules,
+      keyActions: this.config?.keyActions || {},
+      accessLogFields: this.config?.accessLogFields || {},
+      cookieNames: this.config?.cookieNames || [],
+      csvColumns: this.config?.csvColumns || {},
+      csvHeader: this.config?.csvHeader || [],
+      entropy: this.getEntropyOptions(),
+      customRules: this.config?.customRules || [],
+      rulePacks: this.getSelectedRulePacks(),
       defaultMask: this.config?.defaultMask || '***',
       options: {
         outputSuffix: this.getInputValue('outputSuffix', this.config?.options?.outputSuffix || '.masked.log'),
@@ -136,20 +274,165 @@ class ConfigPanel {
         concurrency: parseInt(this.getInputValue('concurrency', String(this.config?.options?.concurrency || 4))),
         enableMasking: this.getCheckboxValue('enableMasking', this.config?.options?.enableMasking !== false),
         maskUrlParams: this.getCheckboxValue('maskUrlParams', this.config?.options?.maskUrlParams !== false),
-        skipBinaryFiles: this.getCheckboxValue('skipBinaryFiles', this.config?.options?.skipBinaryFiles !== false)
+        maskUrlPath: this.getCheckboxValue('maskUrlPath', this.config?.options?.maskUrlPath === true),
+        skipBinaryFiles: this.getCheckboxValue('skipBinaryFiles', this.config?.options?.skipBinaryFiles !== false),
+        maskStrategy: this.getInputValue('maskStrategy', this.config?.options?.maskStrategy || 'mask'),
+        enableVault: this.getCheckboxValue('enableVault', this.config?.options?.enableVault === true),
+        pseudonymizeHostnames: this.getCheckboxValue('pseudonymizeHostnames', this.config?.options?.pseudonymizeHostnames === true),
+        accessLogFormat: this.getInputValue('accessLogFormat', this.config?.options?.accessLogFormat || '').trim(),
+        csvMode: this.getInputValue('csvMode', this.config?.options?.csvMode || 'auto')
       }
     };
   }
 
+  // 假名密钥不进入 getConfig()，避免随配置保存/导出落盘
+  getPseudonymSecret() {
+    return this.getInputValue('pseudonymSecret', '');
+  }
+
+  // 保险库口令同样不进入 getConfig()
+  getVaultPassword() {
+    return this.getInputValue('vaultPassword', '');
+  }
+
+  // 字段规则文本：每行 "选择器 动作"，动作缺省为 mask；# 开头为注释
+  parseFieldRules(text) {
+    const rules = [];
+    const errors = [];
+    const actions = ['mask', 'hash', 'drop', 'keep'];
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+
+      const match = line.match(/^(\S.*?)(?:\s+(mask|hash|drop|keep))?$/);
+      const selector = match ? match[1].trim() : line;
+      const action = match && match[2] ? match[2] : 'mask';
+      if (!selector.startsWith('$') || !actions.includes(action)) {
+        errors.push(`字段规则第 ${index + 1} 行无效: ${line}`);
+        return;
+      }
+      rules.push({ selector, action });
+    });
+
+    return { rules, errors };
+  }
+
+  formatFieldRules(rules) {
+    return (Array.isArray(rules) ? rules : [])
+      .map((rule) => `${rule.selector} ${rule.action}`)
+      .join('\n');
+  }
+
+  // 高熵串参数：只收集填写了的字段，全部留空为 null（使用 ENTROPY_DETECTION 默认值）
+  getEntropyOptions() {
+    const saved = this.config?.entropy || null;
+    if (!document.getElementById(ENTROPY_INPUTS.minLength)) return saved;
+
+    const values = {};
+    for (const [key, id] of Object.entries(ENTROPY_INPUTS)) {
+      const text = this.getInputValue(id, '').trim();
+      if (text !== '') values[key] = Number(text);
+    }
+    const { minLength, hex, base64, contextBoost } = values;
+    const entropy = {};
+    if (minLength !== undefined) entropy.minLength = minLength;
+    if (hex !== undefined || base64 !== undefined) {
+      entropy.thresholds = { ...(hex !== undefined && { hex }), ...(base64 !== undefined && { base64 }) };
+    }
+    if (contextBoost !== undefined) entropy.contextBoost = contextBoost;
+    return Object.keys(entropy).length > 0 ? entropy : null;
+  }
+
+  setEntropyInputs(entropy) {
+    const values = {
+      minLength: entropy?.minLength,
+      hex: entropy?.thresholds?.hex,
+      base64: entropy?.thresholds?.base64,
+      contextBoost: entropy?.contextBoost
+    };
+    for (const [key, id] of Object.entries(ENTROPY_INPUTS)) {
+      this.setInputValue(id, values[key] === undefined ? '' : String(values[key]));
+    }
+  }
+
   getEnabledPatterns() {
     if (!this.config?.patterns) return [];
 
-    return this.config.patterns.map(pattern => ({
-      ...pattern,
-      enabled: this.getCheckboxValue(`rule_${pattern.name}`, pattern.enabled !== false)
+    // 被规则包锁定的复选框取用户自己的勾选（规则包本身记录在 rulePacks）
+    return this.config.patterns.map(pattern => {
+      const checkbox = document.getElementById(`rule_${pattern.name}`);
+      const enabled = checkbox && checkbox.dataset.userChecked !== undefined
+        ? checkbox.dataset.userChecked === 'true'
+        : this.getCheckboxValue(`rule_${pattern.name}`, pattern.enabled !== false);
+      return { ...pattern, enabled };
+    });
+  }
+
+  getSelectedRulePacks() {
+    const list = document.getElementById('rulePackList');
+    if (!list || list.children.length === 0) return this.config?.rulePacks || [];
+    return [...list.querySelectorAll('input[data-pack-id]')]
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.dataset.packId);
+  }
+
+  renderRulePacks() {
+    const list = document.getElementById('rulePackList');
+    if (!list) return;
+
+    const selected = this.config?.rulePacks || [];
+    list.replaceChildren(...this.rulePackCatalog.map((pack) => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-item';
+      label.title = pack.description;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.id = `pack_${pack.id}`;
+      checkbox.checked = selected.includes(pack.id);
+      checkbox.dataset.packId = pack.id;
+      const checkmark = document.createElement('span');
+      checkmark.className = 'checkmark';
+      const text = document.createElement('span');
+      text.className = 'label-text';
+      text.textContent = pack.name;
+      label.append(checkbox, checkmark, text);
+      return label;
     }));
   }
 
+  // 所选规则包强制启用的规则勾选并锁定；用户原本的勾选记在 data-user-checked，取消规则包后恢复
+  applyRulePackLocks() {
+    const selected = this.getSelectedRulePacks();
+    const packsByRule = new Map();
+    for (const pack of this.rulePackCatalog) {
+      if (!selected.includes(pack.id)) continue;
+      for (const name of pack.patterns) {
+        packsByRule.set(name, [...(packsByRule.get(name) || []), pack.name]);
+      }
+    }
+
+    document.querySelectorAll('[id^="rule_"]').forEach((checkbox) => {
+      const packs = packsByRule.get(checkbox.id.slice('rule_'.length));
+      const label = checkbox.closest('.checkbox-item');
+      if (packs) {
+        if (checkbox.dataset.userChecked === undefined) {
+          checkbox.dataset.userChecked = String(checkbox.checked);
+        }
+        checkbox.checked = true;
+        checkbox.disabled = true;
+        if (label) label.title = `由规则包 ${packs.join('、')} 启用`;
+      } else {
+        if (checkbox.dataset.userChecked !== undefined) {
+          checkbox.checked = checkbox.dataset.userChecked === 'true';
+          delete checkbox.dataset.userChecked;
+        }
+        checkbox.disabled = false;
+        if (label) label.removeAttribute('title');
+      }
+    });
+  }
+
   updateUI() {
     if (!this.config) return;
 
@@ -158,15 +441,23 @@ class ConfigPanel {
       this.config.patterns.forEach(pattern => {
         const checkbox = document.getElementById(`rule_${pattern.name}`);
         if (checkbox) {
+          delete checkbox.dataset.userChecked;
           checkbox.checked = pattern.enabled !== false;
         }
       });
     }
 
+    // 更新合规规则包（在规则复选框之后：锁定以用户的勾选为底）
+    this.renderRulePacks();
+    this.applyRulePackLocks();
+
     // 更新开关配置（从 options 中读取）
     const opts = this.config.options || {};
     this.setCheckboxValue('enableMasking', opts.enableMasking !== false);
     this.setCheckboxValue('maskUrlParams', opts.maskUrlParams !== false);
+    this.setCheckboxValue('maskUrlPath', opts.maskUrlPath === true);
+    this.setCheckboxValue('enableVault', opts.enableVault === true);
+    this.setCheckboxValue('pseudonymizeHostnames', opts.pseudonymizeHostnames === true);
 
     // 更新输出设置
     const outputSuffix = document.getElementById('outputSuffix');
@@ -191,6 +482,188 @@ class ConfigPanel {
     if (skipBinaryFiles) {
       skipBinaryFiles.checked = opts.skipBinaryFiles !== false;
     }
+    const maskStrategy = document.getElementById('maskStrategy');
+    if (maskStrategy) {
+      maskStrategy.value = opts.maskStrategy || 'mask';
+    }
+    this.setInputValue('accessLogFormat', opts.accessLogFormat || '');
+    const csvMode = document.getElementById('csvMode');
+    if (csvMode) {
+      csvMode.value = opts.csvMode || 'auto';
+    }
+
+    // 更新字段规则
+    this.setInputValue('fieldRules', this.formatFieldRules(this.config.fieldRules));
+
+    // 更新高熵串检测参数
+    this.setEntropyInputs(this.config.entropy);
+
+    // 更新自定义规则列表
+    this.renderCustomRules();
+  }
+
+  renderCustomRules() {
+    const list = document.getElementById('customRuleList');
+    if (!list) return;
+
+    // 规则内容来自用户输入，只用 textContent 写入
+    list.replaceChildren(...(this.config?.customRules || []).map((rule) => {
+      const item = document.createElement('div');
+      item.className = 'custom-rule-item';
+
+      const label = document.createElement('label');
+      label.className = 'checkbox-item';
+      label.title = `/${rule.source}/${rule.flags || ''} → ${rule.replacement || this.config.defaultMask || '***'}`;
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = rule.enabled !== false;
+      checkbox.dataset.ruleName = rule.name;
+      const checkmark = document.createElement('span');
+      checkmark.className = 'checkmark';
+      const text = document.createElement('span');
+      text.className = 'label-text';
+      text.textContent = rule.description && rule.description !== rule.name
+        ? `${rule.description} (${rule.name})`
+        : rule.name;
+      label.append(checkbox, checkmark, text);
+
+      const actions = [['edit', '编辑'], ['delete', '删除']].map(([action, title]) => {
+        const button = document.createElement('button');
+        button.className = 'btn btn-sm';
+        button.textContent = title;
+        button.dataset.action = action;
+        button.dataset.ruleName = rule.name;
+        return button;
+      });
+
+      item.append(label, ...actions);
+      return item;
+    }));
+  }
+
+  findCustomRule(name) {
+    return (this.config?.customRules || []).find((rule) => rule.name === name) || null;
+  }
+
+  readCustomRuleForm() {
+    return {
+      name: this.getInputValue('customRuleName', '').trim(),
+      description: this.getInputValue('customRuleDescription', '').trim(),
+      category: this.getInputValue('customRuleCategory', 'custom'),
+      source: this.getInputValue('customRuleSource', ''),
+      flags: this.getInputValue('customRuleFlags', '').trim(),
+      replacement: this.getInputValue('customRuleReplacement', ''),
+      enabled: this.editingRuleName ? this.findCustomRule(this.editingRuleName)?.enabled !== false : true
+    };
+  }
+
+  // 输入停顿后再试运行，避免每个按键都走一次 IPC
+  scheduleCustomRuleTest() {
+    clearTimeout(this.ruleTestTimer);
+    this.ruleTestTimer = setTimeout(() => this.testCustomRule(), 300);
+  }
+
+  async testCustomRule() {
+    const rule = this.readCustomRuleForm();
+    if (!rule.source) {
+      this.showCustomRuleResult('');
+      return null;
+    }
+    // 规则名尚未填写时用占位名试运行，只看正则与替换效果
+    const probe = { ...rule, name: rule.name || 'custom_rule_preview' };
+
+    try {
+      const result = await window.electronAPI.rules.test(probe, this.getInputValue('customRuleSample', ''));
+      if (!result.ok) {
+        this.showCustomRuleResult(result.error, true);
+      } else if (!this.getInputValue('customRuleSample', '')) {
+        this.showCustomRuleResult('规则有效，输入测试文本查看替换结果');
+      } else {
+        this.showCustomRuleResult(`命中 ${result.count} 处\n${result.masked}`);
+      }
+      return result;
+    } catch (error) {
+      this.showCustomRuleResult('测试规则失败: ' + error.message, true);
+      return null;
+    }
+  }
+
+  showCustomRuleResult(message, isError = false) {
+    const element = document.getElementById('customRuleTestResult');
+    if (element) {
+      element.textContent = message;
+      element.classList.toggle('error', isError);
+    }
+  }
+
+  // 保存前由主进程校验（规则名、正则语法、flags），通过后写入列表
+  async saveCustomRule() {
+    const rule = this.readCustomRuleForm();
+    if (!this.config) return;
+
+    let result;
+    try {
+      result = await window.electronAPI.rules.test(rule, this.getInputValue('customRuleSample', ''));
+    } catch (error) {
+      this.showMessage('保存规则失败: ' + error.message, 'error');
+      return;
+    }
+    if (!result.ok) {
+      this.showCustomRuleResult(result.error, true);
+      this.showMessage('规则无效: ' + result.error, 'error');
+      return;
+    }
+
+    const rules = this.config.customRules;
+    const duplicate = rules.find((item) => item.name === result.rule.name && item.name !== this.editingRuleName);
+    if (duplicate) {
+      this.showMessage(`已存在同名规则: ${result.rule.name}`, 'error');
+      return;
+    }
+
+    const index = rules.findIndex((item) => item.name === this.editingRuleName);
+    if (index === -1) {
+      rules.push(result.rule);
+    } else {
+      rules[index] = result.rule;
+    }
+
+    this.clearCustomRuleForm();
+    this.renderCustomRules();
+    this.onConfigChange();
+    this.showMessage(`规则 ${result.rule.name} 已保存`, 'success');
+  }
+
+  editCustomRule(name) {
+    const rule = this.findCustomRule(name);
+    if (!rule) return;
+
+    this.editingRuleName = rule.name;
+    this.setInputValue('customRuleName', rule.name);
+    this.setInputValue('customRuleDescription', rule.description || '');
+    this.setInputValue('customRuleCategory', rule.category || 'custom');
+    this.setInputValue('customRuleSource', rule.source);
+    this.setInputValue('customRuleFlags', rule.flags || '');
+    this.setInputValue('customRuleReplacement', rule.replacement || '');
+    this.testCustomRule();
+  }
+
+  deleteCustomRule(name) {
+    if (!this.config) return;
+    this.config.customRules = this.config.customRules.filter((rule) => rule.name !== name);
+    if (this.editingRuleName === name) {
+      this.clearCustomRuleForm();
+    }
+    this.renderCustomRules();
+    this.onConfigChange();
+  }
+
+  clearCustomRuleForm() {
+    this.editingRuleName = null;
+    ['customRuleName', 'customRuleDescription', 'customRuleSource', 'customRuleFlags', 'customRuleReplacement']
+      .forEach((id) => this.setInputValue(id, ''));
+    this.setInputValue('customRuleCategory', 'custom');
+    this.showCustomRuleResult('');
   }
 
   async selectOutputDirectory() {
@@ -233,6 +706,30 @@ class ConfigPanel {
       errors.push('输出后缀不能为空');
     }
 
+    // 验证字段规则格式
+    errors.push(...this.parseFieldRules(this.getInputValue('fieldRules', '')).errors);
+
+    // 高熵串参数：最短长度为正整数，阈值与加分为非负数
+    const entropy = config.entropy || {};
+    if (entropy.minLength !== undefined && !(Number.isInteger(entropy.minLength) && entropy.minLength > 0)) {
+      errors.push('高熵串最短长度必须是正整数');
+    }
+    const entropyNumbers = [entropy.thresholds?.hex, entropy.thresholds?.base64, entropy.contextBoost];
+    if (entropyNumbers.some((value) => value !== undefined && !(Number.isFinite(value) && value >= 0))) {
+      errors.push('高熵串阈值与上下文加分必须是非负数');
+    }
+
+    // 访问日志格式：内置名称，或含 $变量（nginx）/ %指令（Apache）的自定义格式
+    const accessLogFormat = opts.accessLogFormat || '';
+    if (accessLogFormat && !['combined', 'common'].includes(accessLogFormat) && !/[$%]/.test(accessLogFormat)) {
+      errors.push('访问日志格式需为 combined / common，或包含 $变量 / %指令 的自定义格式');
+    }
+
+    // 启用保险库必须提供口令
+    if (opts.enableVault && !this.getVaultPassword()) {
+      errors.push('启用保险库时必须填写保险库口令');
+    }
+
     // 显示验证结果
     this.showValidationErrors(errors);
 
@@ -344,7 +841,8 @@ class ConfigPanel {
 
     // 允许的属性列表（白名单）
     const allowedProps = [
-      'patterns', 'sensitiveKeys', 'options', 'defaultMask',
+      'patterns', 'sensitiveKeys', 'keyAllowlist', 'fieldRules', 'keyActions', 'accessLogFields',
+      'cookieNames', 'csvColumns', 'csvHeader', 'entropy', 'customRules', 'rulePacks', 'options', 'defaultMask',
       'outputSuffix', 'outputDir', 'encoding', 'concurrency', 'skipBinaryFiles'
     ];
 
@@ -383,6 +881,121 @@ class ConfigPanel {
       }
     }
 
+    // 验证 keyAllowlist 结构：永不脱敏的键名（可含通配符）
+    if (config.keyAllowlist !== undefined) {
+      if (!Array.isArray(config.keyAllowlist) || config.keyAllowlist.some((key) => typeof key !== 'string')) {
+        return false;
+      }
+    }
+
+    // 验证 fieldRules 结构
+    if (config.fieldRules !== undefined) {
+      if (!Array.isArray(config.fieldRules)) {
+        return false;
+      }
+      for (const rule of config.fieldRules) {
+        if (!rule || typeof rule.selector !== 'string' || typeof rule.action !== 'string') {
+          console.warn('无效的 fieldRule:', rule);
+          return false;
+        }
+      }
+    }
+
+    // 验证 keyActions 结构：{ 键名: 'mask' | 'drop' | 'null' }
+    if (config.keyActions !== undefined) {
+      if (typeof config.keyActions !== 'object' || config.keyActions === null || Array.isArray(config.keyActions)) {
+        return false;
+      }
+      for (const [key, action] of Object.entries(config.keyActions)) {
+        if (!['mask', 'drop', 'null'].includes(action)) {
+          console.warn('无效的 keyAction:', key, action);
+          return false;
+        }
+      }
+    }
+
+    // 验证 accessLogFields 结构：{ 字段名: 动作 }
+    if (config.accessLogFields !== undefined) {
+      if (typeof config.accessLogFields !== 'object' || config.accessLogFields === null
+        || Array.isArray(config.accessLogFields)) {
+        return false;
+      }
+      for (const [field, action] of Object.entries(config.accessLogFields)) {
+        if (!['keep', 'mask', 'truncate_ip', 'url', 'query', 'text'].includes(action)) {
+          console.warn('无效的 accessLogField:', field, action);
+          return false;
+        }
+      }
+    }
+
+    // 验证 cookieNames 结构：敏感 cookie 名列表
+    if (config.cookieNames !== undefined) {
+      if (!Array.isArray(config.cookieNames)) {
+        return false;
+      }
+      for (const name of config.cookieNames) {
+        if (typeof name !== 'string') {
+          console.warn('无效的 cookieName:', name);
+          return false;
+        }
+      }
+    }
+
+    // 验证 csvColumns 结构：{ 列名: 'mask' | 'hash' | 'drop' | 'keep' | 'text' }
+    if (config.csvColumns !== undefined) {
+      if (typeof config.csvColumns !== 'object' || config.csvColumns === null || Array.isArray(config.csvColumns)) {
+        return false;
+      }
+      for (const [column, action] of Object.entries(config.csvColumns)) {
+        if (!['mask', 'hash', 'drop', 'keep', 'text'].includes(action)) {
+          console.warn('无效的 csvColumn:', column, action);
+          return false;
+        }
+      }
+    }
+
+    // 验证 csvHeader 结构：无表头 CSV 的列名列表
+    if (config.csvHeader !== undefined) {
+      if (!Array.isArray(config.csvHeader) || config.csvHeader.some((name) => typeof name !== 'string')) {
+        return false;
+      }
+    }
+
+    // 验证 entropy 结构：{ minLength, thresholds: { hex, base64 }, contextBoost }
+    if (config.entropy !== undefined && config.entropy !== null) {
+      const { minLength, thresholds = {}, contextBoost } = config.entropy;
+      const isNumber = (value) => value === undefined || (typeof value === 'number' && value >= 0);
+      if (typeof config.entropy !== 'object' || Array.isArray(config.entropy)
+        || (minLength !== undefined && !(Number.isInteger(minLength) && minLength > 0))
+        || typeof thresholds !== 'object' || thresholds === null || !isNumber(thresholds.hex) || !isNumber(thresholds.base64)
+        || !isNumber(contextBoost)) {
+        console.warn('无效的 entropy 配置:', config.entropy);
+        return false;
+      }
+    }
+
+    // 验证 customRules 结构：{ name, source, flags?, replacement?, ... }（正则本身由主进程校验）
+    if (config.customRules !== undefined) {
+      if (!Array.isArray(config.customRules)) {
+        return false;
+      }
+      for (const rule of config.customRules) {
+        if (!rule || typeof rule.name !== 'string' || typeof rule.source !== 'string'
+          || (rule.flags !== undefined && typeof rule.flags !== 'string')
+          || (rule.replacement !== undefined && typeof rule.replacement !== 'string')) {
+          console.warn('无效的 customRule:', rule);
+          return false;
+        }
+      }
+    }
+
+    // 验证 rulePacks 结构：规则包 id 列表（未知 id 由主进程忽略）
+    if (config.rulePacks !== undefined) {
+      if (!Array.isArray(config.rulePacks) || config.rulePacks.some((id) => typeof id !== 'string')) {
+        return false;
+      }
+    }
+
     // 验证 options 结构（如果存在）
     if (config.options !== undefined) {
       if (typeof config.options !== 'object' || config.options === null) {
@@ -390,8 +1003,9 @@ class ConfigPanel {
       }
       const allowedOptions = [
         'outputSuffix', 'outputDir', 'encoding', 'concurrency', 'skipBinaryFiles',
-        'enableMasking', 'maskUrlParams', 'preserveLineEndings', 'maxFileSize',
-        'highWaterMark', 'kvSeparators'
+        'enableMasking', 'maskUrlParams', 'maskUrlPath', 'preserveLineEndings', 'maxFileSize',
+        'highWaterMark', 'kvSeparators', 'maskStrategy', 'enableVault', 'accessLogFormat',
+        'pseudonymizeHostnames', 'csvMode'
       ];
       const optionKeys = Object.keys(config.options);
       for (const key of optionKeys) {
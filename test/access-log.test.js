@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/access-log.js";
+
+const { compileAccessLogFormat, parseAccessLogLine, truncateIp } = Mod.default ?? Mod;
+
+const LINE = '203.0.113.45 - alice [10/Oct/2024:13:55:36 +0800] "GET /a?x=1 HTTP/1.1" 200 512 "-" "curl/8.0"';
+
+describe("compileAccessLogFormat", () => {
+  it("内置 combined 格式解析出各字段及其原文位置", () => {
+    const fields = parseAccessLogLine(compileAccessLogFormat("combined"), LINE);
+    expect(fields.map((f) => f.name)).toEqual([
+      "remote_addr", "remote_user", "time_local", "request", "status",
+      "body_bytes_sent", "http_referer", "http_user_agent",
+    ]);
+    for (const field of fields) {
+      expect(LINE.slice(field.start, field.end)).toBe(field.value);
+    }
+    expect(fields[3].value).toBe("GET /a?x=1 HTTP/1.1");
+  });
+
+  it("Apache LogFormat 翻译为同名字段，引号内允许 \\\" 转义", () => {
+    const compiled = compileAccessLogFormat('%h %l %u %t "%r" %>s %b "%{Referer}i" "%{User-Agent}i"');
+    expect(compiled.fields).toContain("http_user_agent");
+    const line = LINE.replace("curl/8.0", 'agent \\"x\\"');
+    expect(parseAccessLogLine(compiled, line).at(-1).value).toBe('agent \\"x\\"');
+  });
+
+  it("自定义 log_format：${var} 语法与行尾变量", () => {
+    const compiled = compileAccessLogFormat("${remote_addr}|$request_time|$http_x_forwarded_for");
+    expect(parseAccessLogLine(compiled, "1.2.3.4|0.012|5.6.7.8, 9.9.9.9").map((f) => f.value)).toEqual([
+      "1.2.3.4", "0.012", "5.6.7.8, 9.9.9.9",
+    ]);
+  });
+
+  it("不符合格式的行返回 null，无变量或未知指令的格式抛错", () => {
+    expect(parseAccessLogLine(compileAccessLogFormat("common"), "plain text")).toBe(null);
+    expect(() => compileAccessLogFormat("no variables")).toThrow();
+    expect(() => compileAccessLogFormat("%h %Z")).toThrow();
+  });
+});
+
+describe("truncateIp", () => {
+  it("IPv4 截断到 /24，IPv6 截断到 /48，非 IP 片段不变", () => {
+    expect(truncateIp("203.0.113.45")).toBe("203.0.113.0");
+    expect(truncateIp("2001:db8:85a3::8a2e:370:7334")).toBe("2001:db8:85a3::");
+    expect(truncateIp("2001:db8::1")).toBe("2001:db8:0::");
+    expect(truncateIp("10.1.2.3, unknown")).toBe("10.1.2.0, unknown");
+  });
+});
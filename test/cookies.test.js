@@ -0,0 +1,54 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/cookies.js";
+
+const { findCookieHeaders, parseCookieHeaderValue } = Mod.default ?? Mod;
+
+describe("findCookieHeaders", () => {
+  it("把 Cookie 头拆成逐个 cookie，记录值的位置", () => {
+    const text = "req Cookie: theme=dark; JSESSIONID=ABC; lang=zh";
+    const [header] = findCookieHeaders(text);
+    expect(header.setCookie).toBe(false);
+    expect(header.cookies.map((c) => [c.name, text.slice(c.start, c.end)])).toEqual([
+      ["theme", "dark"],
+      ["JSESSIONID", "ABC"],
+      ["lang", "zh"],
+    ]);
+    expect(text.slice(header.start, header.end)).toBe("Cookie: theme=dark; JSESSIONID=ABC; lang=zh");
+  });
+
+  it("Set-Cookie 只有第一对是 cookie，属性不在头的范围内", () => {
+    const text = 'Set-Cookie: sid="a b"; Path=/; Expires=Wed, 21 Oct 2015 07:28:00 GMT; HttpOnly';
+    const [header] = findCookieHeaders(text);
+    expect(header.setCookie).toBe(true);
+    expect(header.cookies).toEqual([{ name: "sid", start: 17, end: 20, value: "a b", quoted: true }]);
+    expect(text.slice(header.end)).toBe("; Path=/; Expires=Wed, 21 Oct 2015 07:28:00 GMT; HttpOnly");
+  });
+
+  it("逗号合并的多个 Set-Cookie 逐个拆开，Expires 日期中的逗号不算分隔", () => {
+    const text = "Set-Cookie: theme=dark; Expires=Wed, 21 Oct 2015 07:28:00 GMT; Path=/, sid=abc; HttpOnly,token=t1";
+    const [header] = findCookieHeaders(text);
+    expect(header.cookies.map((c) => [c.name, text.slice(c.start, c.end)])).toEqual([
+      ["theme", "dark"],
+      ["sid", "abc"],
+      ["token", "t1"],
+    ]);
+    expect(header.end).toBe(text.length);
+    expect(findCookieHeaders("Set-Cookie: a=1; Path=/, then done")[0].cookies.map((c) => c.name)).toEqual(["a"]);
+  });
+
+  it("不是 name=value 形式的 cookie 字样不算 Cookie 头", () => {
+    expect(findCookieHeaders("cookie consent given")).toEqual([]);
+    expect(findCookieHeaders("cookie=abc user=bob")).toEqual([]);
+    expect(findCookieHeaders("X-Cookie-Policy: a=1")).toEqual([]);
+  });
+});
+
+describe("parseCookieHeaderValue", () => {
+  it("整个值可解析时返回 cookie 列表，否则返回 null", () => {
+    expect(parseCookieHeaderValue("a=1; sid=x;", false).map((c) => c.name)).toEqual(["a", "sid"]);
+    expect(parseCookieHeaderValue("token=t; Path=/; Secure", true).map((c) => c.name)).toEqual(["token"]);
+    expect(parseCookieHeaderValue("a=1; Path=/, sid=x; Secure", true).map((c) => c.name)).toEqual(["a", "sid"]);
+    expect(parseCookieHeaderValue("just some text", false)).toBeNull();
+    expect(parseCookieHeaderValue("a=1 trailing words", false)).toBeNull();
+  });
+});
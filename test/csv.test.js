@@ -0,0 +1,44 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/csv.js";
+
+const { resolveCsvDelimiter, parseCsvRecord, formatCsvField } = Mod.default ?? Mod;
+
+describe("resolveCsvDelimiter", () => {
+  it("auto 按扩展名判断，csv / tsv 强制，off 不启用", () => {
+    expect(resolveCsvDelimiter("auto", "/x/audit.CSV")).toBe(",");
+    expect(resolveCsvDelimiter("auto", "/x/audit.tsv")).toBe("\t");
+    expect(resolveCsvDelimiter("auto", "/x/app.log")).toBeNull();
+    expect(resolveCsvDelimiter("tsv", "/x/app.log")).toBe("\t");
+    expect(resolveCsvDelimiter("off", "/x/audit.csv")).toBeNull();
+  });
+});
+
+describe("parseCsvRecord", () => {
+  it("解析引号字段、\"\" 转义与字段内的分隔符，位置含引号", () => {
+    const text = 'a,"b, ""c""",,d';
+    const fields = parseCsvRecord(text, ",");
+    expect(fields.map((f) => f.value)).toEqual(["a", 'b, "c"', "", "d"]);
+    expect(fields.map((f) => text.slice(f.start, f.end))).toEqual(["a", '"b, ""c"""', "", "d"]);
+    expect(fields[1].quoted).toBe(true);
+  });
+
+  it("引号未闭合时返回 null（记录延续到下一行），final 时取到结尾", () => {
+    expect(parseCsvRecord('1,"multi', ",")).toBeNull();
+    expect(parseCsvRecord('1,"multi\nline",x', ",").map((f) => f.value)).toEqual(["1", "multi\nline", "x"]);
+    expect(parseCsvRecord('1,"open', ",", true).map((f) => f.value)).toEqual(["1", "open"]);
+  });
+
+  it("TSV 以制表符分隔", () => {
+    expect(parseCsvRecord("a\tb,c\t", "\t").map((f) => f.value)).toEqual(["a", "b,c", ""]);
+  });
+});
+
+describe("formatCsvField", () => {
+  it("含分隔符、引号、换行或原本带引号时加引号", () => {
+    expect(formatCsvField("plain", ",")).toBe("plain");
+    expect(formatCsvField("a,b", ",")).toBe('"a,b"');
+    expect(formatCsvField('say "hi"', ",")).toBe('"say ""hi"""');
+    expect(formatCsvField("***", ",", true)).toBe('"***"');
+    expect(formatCsvField("a,b", "\t")).toBe("a,b");
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from "vitest";
+import Mod from "../src/core/custom-rules.js";
+import ScrubberMod from "../src/core/scrubber.js";
+import ConfigMod from "../src/core/config.js";
+
+const { validateCustomRule, normalizeCustomRules, compileCustomRule, testCustomRule } = Mod.default ?? Mod;
+const LogScrubber = ScrubberMod.default ?? ScrubberMod;
+const { PATTERNS } = ConfigMod.default ?? ConfigMod;
+
+const orderRef = {
+  name: "order_ref",
+  description: "内部订单引用号",
+  category: "business",
+  source: "(REF-)(\\d{4})\\d{4}",
+  flags: "i",
+  replacement: "$1$2****",
+  enabled: true
+};
+
+describe("validateCustomRule", () => {
+  it("返回规范化的规则：去掉 g、补全描述与分类", () => {
+    expect(validateCustomRule({ name: " order_ref ", source: "REF-\\d+", flags: "gi", category: "nope" })).toEqual({
+      name: "order_ref",
+      description: "order_ref",
+      category: "custom",
+      source: "REF-\\d+",
+      flags: "i",
+      replacement: "",
+      enabled: true
+    });
+  });
+
+  it.each([
+    [{ ...orderRef, name: "Order Ref" }, "规则名"],
+    [{ ...orderRef, name: "email" }, "重名"],
+    [{ ...orderRef, name: "key_value_masking" }, "重名"],
+    [{ ...orderRef, source: "" }, "不能为空"],
+    [{ ...orderRef, source: "(REF-" }, "语法错误"],
+    [{ ...orderRef, flags: "y" }, "flags"],
+    [{ ...orderRef, flags: "ii" }, "flags"],
+    [{ ...orderRef, source: "\\d*" }, "空字符串"],
+    [{ ...orderRef, source: "^(\\w+\\s?)+$" }, "灾难性回溯"],
+    [{ ...orderRef, source: "(\\s*,\\s*)*x" }, "灾难性回溯"],
+    [{ ...orderRef, source: "(a{1,30}){1,30}b" }, "灾难性回溯"],
+    [{ ...orderRef, replacement: "x".repeat(201) }, "不能超过"],
+    [null, "必须是对象"]
+  ])("拒绝无效规则 %#", (rule, message) => {
+    expect(() => validateCustomRule(rule)).toThrow(message);
+  });
+});
+
+describe("normalizeCustomRules", () => {
+  it("丢弃无效与重名的规则并告警，非数组返回空列表", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const rules = normalizeCustomRules([orderRef, { ...orderRef, source: "x" }, { name: "bad", source: "(" }]);
+    expect(rules.map((rule) => rule.source)).toEqual([orderRef.source]);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+
+    expect(normalizeCustomRules(undefined)).toEqual([]);
+  });
+});
+
+describe("compileCustomRule", () => {
+  it("编译后与内置规则一起参与检测，按规则名计数", () => {
+    const rule = compileCustomRule(validateCustomRule(orderRef));
+    const scrubber = new LogScrubber({ patterns: [...PATTERNS, rule] });
+    const result = scrubber.processLine("order ref-20261234 shipped to 13812345678");
+    expect(result.masked).toBe("order ref-2026**** shipped to 138****5678");
+    expect(result.matches).toEqual({ order_ref: 1, chinese_phone: 1 });
+  });
+
+  it("未启用的规则不生效；空替换模板使用 defaultMask", () => {
+    const disabled = compileCustomRule(validateCustomRule({ ...orderRef, enabled: false }));
+    expect(new LogScrubber({ patterns: [disabled] }).processLine("REF-20261234").hasChanges).toBe(false);
+
+    const plain = compileCustomRule(validateCustomRule({ ...orderRef, replacement: "" }));
+    expect(new LogScrubber({ patterns: [plain], defaultMask: "[x]" }).processLine("REF-20261234").masked).toBe("[x]");
+  });
+});
+
+describe("testCustomRule", () => {
+  it("只用该规则试运行示例文本并返回命中数", () => {
+    const result = testCustomRule({ ...orderRef, enabled: false }, "REF-20261234 / ref-11112222 / 13812345678");
+    expect(result.masked).toBe("REF-2026**** / ref-1111**** / 13812345678");
+    expect(result.count).toBe(2);
+    expect(result.rule.name).toBe("order_ref");
+  });
+
+  it("规则无效时抛出校验错误", () => {
+    expect(() => testCustomRule({ ...orderRef, source: "[" }, "x")).toThrow("语法错误");
+  });
+});
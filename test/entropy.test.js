@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/entropy.js";
+import CfgMod from "../src/core/config.js";
+
+const { shannonEntropy, findHighEntropyTokens, normalizeEntropyOptions } = Mod.default ?? Mod;
+const { ENTROPY_DETECTION } = CfgMod.default ?? CfgMod;
+
+const find = (text, options = ENTROPY_DETECTION) => findHighEntropyTokens(text, options).map((t) => t.value);
+
+describe("shannonEntropy", () => {
+  it("按字符分布计算每字符比特数", () => {
+    expect(shannonEntropy("aaaa")).toBe(0);
+    expect(shannonEntropy("abab")).toBe(1);
+    expect(shannonEntropy("0123456789abcdef")).toBe(4);
+  });
+});
+
+describe("findHighEntropyTokens", () => {
+  it("找出无前缀的随机 hex / base62 / 全小写令牌", () => {
+    expect(find("svc a8f3k2m9x7q1z5p0w4 ok")).toEqual(["a8f3k2m9x7q1z5p0w4"]);
+    expect(find("key 9fK2xQ7pLm3ZrT8w")).toEqual(["9fK2xQ7pLm3ZrT8w"]);
+    const hex = findHighEntropyTokens("got 3c9a07d1e4b2f685 ok", ENTROPY_DETECTION);
+    expect(hex.map((t) => [t.start, t.end, t.charset])).toEqual([[4, 20, "hex"]]);
+  });
+
+  it("git SHA、UUID、标识符、纯数字与过短的串不算", () => {
+    expect(find("commit 3f2a9c1e0b7d4f6a8c2e1b3d5f7a9c0e2b4d6f8a")).toEqual([]);
+    expect(find("id 550e8400-e29b-41d4-a716-446655440000")).toEqual([]);
+    expect(find("at handleRequest2024 x86_64-linux-gnu2 ERR_CONNECTION_REFUSED_10061")).toEqual([]);
+    expect(find("ref DE89370400440532013001 n 12345678901234567890 k a8f3k2m9x7")).toEqual([]);
+    expect(find("trace_id=4bf92f3577b34da6a3ce929d0e0e4736 md5 d41d8cd98f00b204e9800998ecf8427e")).toEqual([]);
+  });
+
+  it("k8s Pod 名与 URL / 文件路径中的 hex 段不算", () => {
+    expect(find("pod payment-service-7d9f8b6c5-x2k4j restarted, node-exporter-x2k4j ready")).toEqual([]);
+    expect(find("GET /api/v1/orders/3f2a9c1e0b7d4f6a8c2e1b3d5f7a9c0e/items 200")).toEqual([]);
+    expect(find("open /var/lib/docker/overlay2/9c1e0b7d4f6a8c2e1b3d5f7a/merged")).toEqual([]);
+    // 形似 Pod 名但名称段本身是随机串、或路径段不是纯 hex 时照常命中
+    expect(find("tok abc-a8f3k2m9x7q1-x2k4j")).toEqual(["abc-a8f3k2m9x7q1-x2k4j"]);
+    expect(find("GET /hooks/a8f3k2m9x7q1z5p0w4")).toEqual(["a8f3k2m9x7q1z5p0w4"]);
+  });
+
+  it("上下文加分：= / : 之后或 key / secret 附近的值阈值更低，且不按形态放行", () => {
+    const strict = { ...ENTROPY_DETECTION, thresholds: { hex: 3.0, base64: 4.2 } };
+    expect(find("value a8f3k2m9x7q1z5p0 ok", strict)).toEqual([]);
+    expect(find("value=a8f3k2m9x7q1z5p0", strict)).toEqual(["a8f3k2m9x7q1z5p0"]);
+    expect(find("api secret 550e8400-e29b-41d4-a716-446655440000")).toEqual(["550e8400-e29b-41d4-a716-446655440000"]);
+  });
+});
+
+describe("normalizeEntropyOptions", () => {
+  it("只采用合法的数值，其余回退默认值", () => {
+    expect(normalizeEntropyOptions({ minLength: 20, thresholds: { hex: 3.2, base64: "x" }, contextBoost: -1 }, ENTROPY_DETECTION))
+      .toEqual({ minLength: 20, thresholds: { hex: 3.2, base64: ENTROPY_DETECTION.thresholds.base64 }, contextBoost: ENTROPY_DETECTION.contextBoost });
+    expect(normalizeEntropyOptions(null, ENTROPY_DETECTION)).toEqual(ENTROPY_DETECTION);
+  });
+});
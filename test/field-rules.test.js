@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/field-rules.js";
+
+const { parseSelector, compileFieldRules, findFieldRule } = Mod.default ?? Mod;
+
+describe("parseSelector", () => {
+  it("子字段 / 任意深度 / 引号键名 / 下标与通配", () => {
+    expect(parseSelector("$.user.mobile")).toEqual([
+      { descendant: false, type: "name", value: "user" },
+      { descendant: false, type: "name", value: "mobile" },
+    ]);
+    expect(parseSelector("$..card.number")[0]).toEqual({ descendant: true, type: "name", value: "card" });
+    expect(parseSelector("$.headers['x-api-key']")[1]).toEqual({ descendant: false, type: "name", value: "x-api-key" });
+    expect(parseSelector('$.items[0]["a.b"]').slice(1)).toEqual([
+      { descendant: false, type: "index", value: 0 },
+      { descendant: false, type: "name", value: "a.b" },
+    ]);
+    expect(parseSelector("$.items[*].*").slice(1).map((s) => s.type)).toEqual(["wildcard", "wildcard"]);
+  });
+  it("非法选择器抛错", () => {
+    for (const bad of ["user.mobile", "$", "$.", "$..", "$.a[", "$.a['b]"]) {
+      expect(() => parseSelector(bad)).toThrow();
+    }
+  });
+});
+
+describe("findFieldRule", () => {
+  const rules = compileFieldRules([
+    { selector: "$..card.number", action: "hash" },
+    { selector: "$.items[*].id", action: "drop" },
+    { selector: "$.bad[", action: "mask" },
+    { selector: "$.x", action: "explode" },
+  ]);
+  it("无效规则被跳过", () => expect(rules).toHaveLength(2));
+  it("按路径匹配，取第一条命中", () => {
+    expect(findFieldRule(rules, ["pay", "card", "number"]).action).toBe("hash");
+    expect(findFieldRule(rules, ["card", "number"]).action).toBe("hash");
+    expect(findFieldRule(rules, ["items", 3, "id"]).action).toBe("drop");
+    expect(findFieldRule(rules, ["card", "number", "x"])).toBe(null);
+  });
+  it("数字下标与同名字符串键名区分", () => {
+    const [byIndex] = compileFieldRules([{ selector: "$.items[0]", action: "mask" }]);
+    expect(findFieldRule([byIndex], ["items", 0])).toBe(byIndex);
+    expect(findFieldRule([byIndex], ["items", "0"])).toBe(null);
+  });
+});
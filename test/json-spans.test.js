@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/json-spans.js";
+
+const { parseJsonSpans, applyEdits } = Mod.default ?? Mod;
+
+describe("parseJsonSpans", () => {
+  it("记录各值在原文中的位置，字符串给出解码值", () => {
+    const text = ' {"a": [1, "x\\u00e9"], "b": null} ';
+    const root = parseJsonSpans(text);
+    expect(root.type).toBe("object");
+    expect(text.slice(root.start, root.end)).toBe('{"a": [1, "x\\u00e9"], "b": null}');
+    const [a, b] = root.entries;
+    expect(a.key).toBe("a");
+    expect(a.value.items.map((n) => text.slice(n.start, n.end))).toEqual(["1", '"x\\u00e9"']);
+    expect(a.value.items[1].value).toBe("xé");
+    expect(b.value.type).toBe("literal");
+  });
+
+  it("与 JSON.parse 一致地拒绝非法输入", () => {
+    for (const bad of ["{", '{"a":1,}', "[1 2]", '{"a":01}', '"\\x"', "{} x", "tru"]) {
+      expect(parseJsonSpans(bad)).toBe(null);
+    }
+  });
+
+  it("超深嵌套视为非 JSON", () => {
+    expect(parseJsonSpans("[".repeat(600) + "]".repeat(600))).toBe(null);
+  });
+});
+
+describe("applyEdits", () => {
+  it("按位置拼接，未编辑部分原样保留", () => {
+    expect(applyEdits("abcdef", [{ start: 4, end: 5, text: "E" }, { start: 0, end: 1, text: "AA" }])).toBe("AAbcdEf");
+  });
+  it("重叠编辑抛错", () => {
+    expect(() => applyEdits("abc", [{ start: 0, end: 2, text: "" }, { start: 1, end: 3, text: "" }])).toThrow();
+  });
+});
+
+describe("findJsonSegments", () => {
+  const { findJsonSegments } = Mod.default ?? Mod;
+  const slices = (t) => findJsonSegments(t).map(({ start, end }) => t.slice(start, end));
+
+  it("定位前缀后的对象与含对象的数组，跳过方括号标签", () => {
+    expect(slices('[INFO] [main] body: {"a":{"b":"}"}} tail [{"x":1}]')).toEqual(['{"a":{"b":"}"}}', '[{"x":1}]']);
+  });
+  it("不配对或非法片段不算", () => {
+    expect(slices('a {"x": } b [1, 2] c {')).toEqual([]);
+  });
+  it("起始括号后的空白不影响定位", () => {
+    expect(slices('x {\n   "a": 1} y [ \t{"b":2}]')).toEqual(['{\n   "a": 1}', '[ \t{"b":2}]']);
+  });
+});
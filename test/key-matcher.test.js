@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/key-matcher.js";
+
+const { KeyMatcher } = Mod.default ?? Mod;
+
+describe("KeyMatcher", () => {
+  it("忽略大小写与命名风格，按词对齐的后缀命中", () => {
+    const m = new KeyMatcher(["password", "api_key", "accesskey", "passwd"]);
+    for (const key of ["PASSWORD", "userPassword", "db_password", "x-api-key", "stripeApiKey", "AWS_SECRET_ACCESS_KEY", "dbPasswd"]) {
+      expect(m.matches(key)).toBe(true);
+    }
+    expect(m.matches("passwordless")).toBe(false);
+    expect(m.matches("password_hint")).toBe(false);
+    expect(m.matches("apikeys")).toBe(false);
+  });
+
+  it("按词对齐：key 不会命中 monkey / keyboard", () => {
+    const m = new KeyMatcher(["key"]);
+    expect(m.matches("api.key")).toBe(true);
+    expect(m.matches("monkey")).toBe(false);
+    expect(m.matches("keyboard")).toBe(false);
+  });
+
+  it("通配符匹配 snake_case 或去分隔符的形式", () => {
+    const m = new KeyMatcher(["*_secret*", "*password*"]);
+    expect(m.matches("stripeSecretKey")).toBe(true);
+    expect(m.matches("client-secret")).toBe(true);
+    expect(m.matches("userpasswordhash")).toBe(true);
+    expect(m.matches("secretary")).toBe(false);
+  });
+
+  it("白名单优先，同样支持命名风格与通配符", () => {
+    const m = new KeyMatcher(["key", "token"], ["primary_key", "*_count"]);
+    expect(m.matches("primaryKey")).toBe(false);
+    expect(m.matches("SORT_KEY")).toBe(true);
+    expect(m.matches("refresh_token")).toBe(true);
+    expect(new KeyMatcher(["*token*"], ["*_count"]).matches("token_count")).toBe(false);
+  });
+
+  it("中文键名按原样比较", () => {
+    const m = new KeyMatcher(["密码"]);
+    expect(m.matches("密码")).toBe(true);
+    expect(m.matches("密码提示")).toBe(false);
+  });
+
+  it("requiredLiterals：键名去分隔符，通配符取最长字面量片段；无字面量的通配符返回 null", () => {
+    expect(new KeyMatcher(["api_key", "密码", "*_secret*", "*tok?n*"]).requiredLiterals())
+      .toEqual(["apikey", "密码", "secret", "tok"]);
+    expect(new KeyMatcher(["password", "*"]).requiredLiterals()).toBeNull();
+    expect(new KeyMatcher(["password", "CONTRASEÑA"]).requiredLiterals()).toBeNull();
+  });
+});
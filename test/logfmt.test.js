@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/logfmt.js";
+
+const { tokenizeLogfmt, findLogfmtPairs, encodeQuoted } = Mod.default ?? Mod;
+
+describe("tokenizeLogfmt", () => {
+  it("引号值含空格与转义，记录值的原文位置", () => {
+    const line = 'level=info msg="say \\"hi\\" now" empty= n=1';
+    const tokens = tokenizeLogfmt(line);
+    expect(tokens.map((t) => [t.key, t.value, t.quoted])).toEqual([
+      ["level", "info", false],
+      ["msg", 'say "hi" now', true],
+      ["empty", "", false],
+      ["n", "1", false],
+    ]);
+    expect(line.slice(tokens[1].valueStart, tokens[1].valueEnd)).toBe('"say \\"hi\\" now"');
+  });
+
+  it("未闭合引号、引号后紧跟字符、无等号的片段视为普通文本", () => {
+    expect(tokenizeLogfmt('a="x b').map((t) => t.type)).toEqual(["word", "word"]);
+    expect(tokenizeLogfmt('a="x"y').map((t) => t.type)).toEqual(["word"]);
+    expect(tokenizeLogfmt("INFO [main] a=1").map((t) => t.type)).toEqual(["word", "word", "pair"]);
+  });
+});
+
+describe("findLogfmtPairs", () => {
+  it("取行尾连续的键值对，前缀交给文本规则", () => {
+    const line = "2024-01-01 INFO handler a=1 b=2";
+    const found = findLogfmtPairs(line);
+    expect(found.start).toBe(line.indexOf("a=1"));
+    expect(found.pairs.map((p) => p.key)).toEqual(["a", "b"]);
+  });
+
+  it("少于两个键值对或中间夹杂文本时不视为 logfmt", () => {
+    expect(findLogfmtPairs("user login token=abc")).toBe(null);
+    expect(findLogfmtPairs("a=1 b=2 done")).toBe(null);
+    expect(findLogfmtPairs("no pairs here")).toBe(null);
+  });
+
+  it("encodeQuoted 转义引号、反斜杠与换行", () => {
+    expect(encodeQuoted('a "b"\\\n')).toBe('"a \\"b\\"\\\\\\n"');
+  });
+});
+
+describe("裸值限制", () => {
+  it("含双引号或以单引号开头的裸值不视为键值对", () => {
+    expect(tokenizeLogfmt("a=x\"y b='q'/>").map((t) => t.type)).toEqual(["word", "word"]);
+    expect(tokenizeLogfmt("msg=don't n=1").map((t) => t.type)).toEqual(["pair", "pair"]);
+  });
+});
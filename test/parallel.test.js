@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createRequire } from "node:module";
+import Mod from "../src/core/parallel.js";
+
+const {
+  canSplitEncoding, findChunkRanges, toWorkerScrubberOptions, fromWorkerScrubberOptions, dependsOnCarry, nextCarry,
+  checkWorkerControl, WorkerPool
+} = Mod.default ?? Mod;
+// 与 parallel.js 内 require 的是同一个模块实例（内置规则按对象身份识别）
+const { PATTERNS } = createRequire(import.meta.url)("../src/core/config.js");
+
+let dir;
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), "pf-parallel-"));
+});
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe("findChunkRanges", () => {
+  it("区间首尾相接、覆盖全文件，且都在换行符之后切开", async () => {
+    const text = Array.from({ length: 200 }, (_, i) => `line ${i} ${"x".repeat(i % 17)}`).join("\n");
+    const file = join(dir, "ranges.log");
+    writeFileSync(file, text, "utf8");
+    const size = Buffer.byteLength(text);
+
+    const ranges = await findChunkRanges(file, size, 100);
+    expect(ranges.length).toBeGreaterThan(10);
+    expect(ranges[0].start).toBe(0);
+    expect(ranges[ranges.length - 1].end).toBe(size);
+    for (let i = 1; i < ranges.length; i++) {
+      expect(ranges[i].start).toBe(ranges[i - 1].end);
+      expect(text[ranges[i].start - 1]).toBe("\n");
+    }
+  });
+
+  it("区间内没有换行时延伸到文件末尾", async () => {
+    const file = join(dir, "one-line.log");
+    writeFileSync(file, "a".repeat(1000), "utf8");
+    expect(await findChunkRanges(file, 1000, 100)).toEqual([{ start: 0, end: 1000 }]);
+  });
+});
+
+describe("worker 选项传递", () => {
+  it("内置规则按名称传递，到 worker 内取回原规则对象", () => {
+    const patterns = PATTERNS.map((p) => ({ ...p, enabled: p.name === "email" }));
+    const sent = toWorkerScrubberOptions({ patterns, defaultMask: "###" });
+    expect(() => structuredClone(sent)).not.toThrow();
+    const received = fromWorkerScrubberOptions(structuredClone(sent));
+    expect(received.defaultMask).toBe("###");
+    expect(received.patterns.map((p) => [p.name, p.enabled])).toEqual(patterns.map((p) => [p.name, p.enabled]));
+    expect(received.patterns[0].replacement).toBe(PATTERNS[0].replacement);
+  });
+
+  it("自定义规则（字符串模板）原样传递；带函数的非内置规则无法传递", () => {
+    const custom = { name: "order_ref", regex: /ORD-\d+/g, replacement: "ORD-***", enabled: true, custom: true };
+    expect(toWorkerScrubberOptions({ patterns: [custom] }).patterns).toEqual([custom]);
+    expect(toWorkerScrubberOptions({ patterns: [{ ...custom, replacement: () => "x" }] })).toBeNull();
+  });
+});
+
+describe("跨区间状态", () => {
+  const run = (overrides = {}) => ({
+    carry: { keyBlock: null, sqlColumns: null },
+    sqlColumnsAssigned: false,
+    usedCarriedSqlColumns: false,
+    ...overrides
+  });
+
+  it("上一区间留下未闭合的私钥块时必须重做", () => {
+    const block = { label: "RSA PRIVATE KEY", prefix: "", body: ["MII"] };
+    expect(dependsOnCarry(run(), { keyBlock: block, sqlColumns: null })).toBe(true);
+  });
+
+  it("只有首条 Preparing 之前出现 Parameters 时才依赖上一区间的字段名", () => {
+    const carry = { keyBlock: null, sqlColumns: ["password"] };
+    expect(dependsOnCarry(run(), carry)).toBe(false);
+    expect(dependsOnCarry(run({ usedCarriedSqlColumns: true }), carry)).toBe(true);
+    expect(dependsOnCarry(run({ usedCarriedSqlColumns: true }), { keyBlock: null, sqlColumns: null })).toBe(false);
+  });
+
+  it("本区间没有 Preparing 时沿用上一区间的字段名", () => {
+    const carry = { keyBlock: null, sqlColumns: ["password"] };
+    expect(nextCarry(run(), carry).sqlColumns).toEqual(["password"]);
+    expect(nextCarry(run({ sqlColumnsAssigned: true, carry: { keyBlock: null, sqlColumns: ["id"] } }), carry).sqlColumns)
+      .toEqual(["id"]);
+  });
+
+  it("只有可按字节找换行的编码才能切分", () => {
+    expect(canSplitEncoding("utf8")).toBe(true);
+    expect(canSplitEncoding("GBK")).toBe(true);
+    expect(canSplitEncoding("utf16le")).toBe(false);
+  });
+});
+
+describe("WorkerPool 暂停与取消", () => {
+  const text = "password=hunter2\n".repeat(200);
+  const task = (file) => ({ filePath: file, start: 0, end: Buffer.byteLength(text), carry: null, final: true });
+  const newPool = () => new WorkerPool(1, { scrubberOptions: {}, encoding: "utf8", lineEnding: "\n" });
+  const settledWithin = (promise, ms) => Promise.race([
+    promise.then(() => true, () => true),
+    new Promise((resolve) => setTimeout(() => resolve(false), ms)),
+  ]);
+
+  it("控制字：运行中放行，已取消时抛错", () => {
+    const control = new Int32Array(new SharedArrayBuffer(4));
+    expect(() => checkWorkerControl(control)).not.toThrow();
+    control[0] = 2;
+    expect(() => checkWorkerControl(control)).toThrow("处理已取消");
+  });
+
+  it("暂停后 worker 在区间内停下，恢复后完成", async () => {
+    const file = join(dir, "pool-pause.log");
+    writeFileSync(file, text, "utf8");
+    const pool = newPool();
+    try {
+      pool.pause();
+      const promise = pool.run(task(file));
+      expect(await settledWithin(promise, 300)).toBe(false);
+      pool.resume();
+      const result = await promise;
+      expect(result.stats.totalLines).toBe(200);
+      expect(result.output.toString("utf8")).not.toContain("hunter2");
+    } finally {
+      await pool.destroy();
+    }
+  });
+
+  it("暂停中销毁：处理中的任务立即失败", async () => {
+    const file = join(dir, "pool-abort.log");
+    writeFileSync(file, text, "utf8");
+    const pool = newPool();
+    pool.pause();
+    const promise = pool.run(task(file));
+    const rejected = expect(promise).rejects.toThrow("脱敏线程已关闭");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await pool.destroy();
+    await rejected;
+  });
+});
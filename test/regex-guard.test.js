@@ -0,0 +1,59 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/regex-guard.js";
+import ConfigMod from "../src/core/config.js";
+
+const { findUnsafeRegexReason, splitLongLine, createLineTimeoutError, isLineTimeoutError } = Mod.default ?? Mod;
+const { PATTERNS } = ConfigMod.default ?? ConfigMod;
+
+describe("findUnsafeRegexReason", () => {
+  it.each(["(a+)+$", "(\\w+\\s?)*$", "(x+x+)+y", "(.+,)+x", "((ab)*)+", "(.*a){2,}"])("嵌套量词 %s", (source) => {
+    expect(findUnsafeRegexReason(new RegExp(source))).toMatch("嵌套量词");
+  });
+
+  it.each(["(a|ab)*c", "(\\w|\\d)+", "(?:a|A)+"])("分支开头重叠 %s", (source) => {
+    const flags = source.includes("A") ? "i" : "";
+    expect(findUnsafeRegexReason(new RegExp(source, flags))).toMatch("相同的开头字符");
+  });
+
+  it.each(["(\\s*,\\s*)*x", "(\\s?,\\s?)+x"])("相邻两轮首尾的可变部分重叠 %s", (source) => {
+    expect(findUnsafeRegexReason(new RegExp(source))).toMatch("首尾的可变长度部分");
+  });
+
+  it("有界重复的分组同样检查", () => {
+    expect(findUnsafeRegexReason(/(a{1,30}){1,30}b/)).toMatch("嵌套量词");
+    expect(findUnsafeRegexReason(/(a|ab){2,10}c/)).toMatch("相同的开头字符");
+  });
+
+  it("有分隔字符、定长或有界重复的形态放行", () => {
+    for (const source of ["(\\w+\\.)+com", "([^,]+,)*x", "(?:[A-Za-z0-9+/]{4})*", "(\\d{1,3}\\.){3}\\d", "(?:a|b)+", "\\w+@\\w+", "(ab*)*c", "(a*b)*c", "(\\s*,\\d)*x"]) {
+      expect(findUnsafeRegexReason(new RegExp(source))).toBeNull();
+    }
+  });
+
+  it("内置规则全部通过检查", () => {
+    expect(PATTERNS.filter((p) => findUnsafeRegexReason(p.regex)).map((p) => p.name)).toEqual([]);
+  });
+});
+
+describe("splitLongLine", () => {
+  it("在片段后半部分的最后一个分隔符处切开，拼回即原文", () => {
+    const line = "alpha beta,gamma;delta epsilon";
+    const chunks = splitLongLine(line, 12);
+    expect(chunks.map((c) => c.text)).toEqual(["alpha beta,", "gamma;delta ", "epsilon"]);
+    expect(chunks.map((c) => c.start)).toEqual([0, 11, 23]);
+    expect(chunks.map((c) => c.text).join("")).toBe(line);
+  });
+
+  it("没有分隔符时硬切，短行原样一段", () => {
+    expect(splitLongLine("x".repeat(25), 10).map((c) => c.text.length)).toEqual([10, 10, 5]);
+    expect(splitLongLine("short", 10)).toEqual([{ start: 0, text: "short" }]);
+  });
+});
+
+describe("line timeout error", () => {
+  it("带 LINE_TIMEOUT 标记，可与普通错误区分", () => {
+    expect(isLineTimeoutError(createLineTimeoutError(50))).toBe(true);
+    expect(createLineTimeoutError(50).message).toContain("50ms");
+    expect(isLineTimeoutError(new Error("x"))).toBe(false);
+  });
+});
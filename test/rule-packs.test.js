@@ -0,0 +1,89 @@
+import { describe, it, expect, vi } from "vitest";
+import { createRequire } from "node:module";
+import Mod from "../src/core/rule-packs.js";
+import ScrubberMod from "../src/core/scrubber.js";
+
+const { PACK_MASKS, normalizeRulePacks, describeRulePacks, applyRulePacks } = Mod.default ?? Mod;
+const LogScrubber = ScrubberMod.default ?? ScrubberMod;
+// 与 rule-packs.js 共用同一个 config 实例（规则对象按引用比较）
+const { PATTERNS, RULE_PACKS } = createRequire(import.meta.url)("../src/core/config.js");
+
+describe("规则包定义", () => {
+  it("引用的规则都存在，掩码方式都有实现", () => {
+    const names = new Set(PATTERNS.map((p) => p.name));
+    for (const pack of RULE_PACKS) {
+      for (const name of pack.patterns) expect(names.has(name), `${pack.id}: ${name}`).toBe(true);
+      for (const [name, mask] of Object.entries(pack.masks)) {
+        expect(pack.patterns).toContain(name);
+        expect(typeof PACK_MASKS[mask]).toBe("function");
+      }
+    }
+  });
+});
+
+describe("normalizeRulePacks / describeRulePacks", () => {
+  it("只保留已知 id，去重并保持顺序", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(normalizeRulePacks(["gdpr", "sox", "pci_dss", "gdpr"])).toEqual(["gdpr", "pci_dss"]);
+    expect(warn).toHaveBeenCalledWith("Unknown rule pack:", "sox");
+    warn.mockRestore();
+    expect(normalizeRulePacks("gdpr")).toEqual([]);
+    expect(describeRulePacks(["pipl", "hipaa"])).toEqual(["PIPL", "HIPAA"]);
+  });
+});
+
+describe("applyRulePacks", () => {
+  it("强制启用包内规则并追加键名，原规则不变", () => {
+    const { patterns, sensitiveKeys } = applyRulePacks(PATTERNS, ["pci_dss"]);
+    const cvv = patterns.find((p) => p.name === "cvv_code");
+    expect(cvv.enabled).toBe(true);
+    expect(PATTERNS.find((p) => p.name === "cvv_code").enabled).toBe(false);
+    expect(patterns.find((p) => p.name === "bank_card").replacement).toBe(PACK_MASKS.pan_truncated);
+    expect(sensitiveKeys).toContain("cvv2");
+    // 包外的规则原样保留（同一对象）
+    const email = PATTERNS.find((p) => p.name === "email");
+    expect(patterns).toContain(email);
+  });
+
+  it("多个规则包对同一规则的掩码方式不一致时按整体替换处理", () => {
+    const ipv4 = (ids) => applyRulePacks(PATTERNS, ids).patterns.find((p) => p.name === "ipv4_address");
+    expect(ipv4(["gdpr"]).replacement).toBe(PACK_MASKS.ip_truncated);
+    const strict = ipv4(["gdpr", "hipaa"]);
+    expect(strict.enabled).toBe(true);
+    expect(strict.replacement).toBe(PATTERNS.find((p) => p.name === "ipv4_address").replacement);
+  });
+
+  it("没有选中规则包时原样返回", () => {
+    expect(applyRulePacks(PATTERNS, [])).toEqual({ patterns: PATTERNS, sensitiveKeys: [] });
+  });
+});
+
+describe("掩码方式", () => {
+  it("pan_truncated 只保留前 6 后 4 位，分隔符不变", () => {
+    expect(PACK_MASKS.pan_truncated("4111 1111 1111 1111")).toBe("4111 11** **** 1111");
+    expect(PACK_MASKS.pan_truncated("6222021234567890123")).toBe("622202*********0123");
+  });
+
+  it("ip_truncated 截断到 /24", () => {
+    expect(PACK_MASKS.ip_truncated("192.168.10.23")).toBe("192.168.10.0");
+  });
+});
+
+describe("LogScrubber rulePacks 选项", () => {
+  it("PCI DSS：卡号保留前 6 后 4，CVV 与附加键名脱敏", () => {
+    const s = new LogScrubber({ rulePacks: ["pci_dss"] });
+    expect(s.processLine("card=4111 1111 1111 1111 cvv=123").masked).toBe("card=4111 11** **** 1111 cvv=***");
+    expect(s.processLine("pan_ref: abc track2=xyz").masked).toBe("pan_ref: abc track2=***");
+  });
+
+  it("规则包的键名在界面未勾选规则时同样生效；假名模式下规则包掩码方式让位于令牌", () => {
+    const s = new LogScrubber({
+      patterns: PATTERNS.map((p) => ({ ...p, enabled: false })),
+      rulePacks: ["pipl"]
+    });
+    expect(s.processLine("真实姓名=李四 手机号：13812345678").masked).toBe("真实姓名=*** 手机号：***");
+
+    const p = new LogScrubber({ rulePacks: ["pci_dss"], maskStrategy: "pseudonymize", pseudonymSecret: "k" });
+    expect(p.processLine("card 4111111111111111").masked).toMatch(/^card BANK_CARD_[0-9a-f]{16}$/);
+  });
+});
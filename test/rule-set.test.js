@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/rule-set.js";
+import ConfigMod from "../src/core/config.js";
+
+const { LiteralMatcher, findRequiredLiterals, RuleSet } = Mod.default ?? Mod;
+const { PATTERNS } = ConfigMod.default ?? ConfigMod;
+
+describe("LiteralMatcher", () => {
+  it("一次扫描找出所有出现的字面量，含重叠与互为后缀的字面量", () => {
+    const m = new LiteralMatcher(["he", "she", "his", "hers"]);
+    expect([...m.findAll("ushers")]).toEqual([1, 1, 0, 1]);
+    expect([...m.findAll("xyz")]).toEqual([0, 0, 0, 0]);
+  });
+
+  it("test 只判断是否有任一字面量出现", () => {
+    const m = new LiteralMatcher(["password", "密码"]);
+    expect(m.test("dbpasswordx")).toBe(true);
+    expect(m.test("用户密码是")).toBe(true);
+    expect(m.test("passwor")).toBe(false);
+  });
+
+  it("折叠文本中的 ASCII 大小写；skipSeparators 时跳过字母数字以外的字符", () => {
+    expect(new LiteralMatcher(["apikey"]).test("X-API-KEY")).toBe(false);
+    expect(new LiteralMatcher(["apikey"]).test("stripeApiKey")).toBe(true);
+    const m = new LiteralMatcher(["apikey", "用户密码"], { skipSeparators: true });
+    expect(m.test("X-API-KEY: 1")).toBe(true);
+    expect(m.test("用户・密码")).toBe(true);
+    expect(m.test("api 😀 key")).toBe(true);
+    expect(m.test("api2key")).toBe(false);
+  });
+});
+
+describe("findRequiredLiterals", () => {
+  it("取每个分支最有区分度的字面量，统一小写", () => {
+    expect(findRequiredLiterals(/\bsk-[A-Za-z0-9]{20,}/g)).toEqual(["sk-"]);
+    expect(findRequiredLiterals(/AKIA[0-9A-Z]{16}/g)).toEqual(["akia"]);
+    expect(findRequiredLiterals(/(?:ghp|gho)_[A-Za-z0-9]{36}/g)).toEqual(["ghp", "gho"]);
+    expect(findRequiredLiterals(/[\w.]+@[\w.]+\.[a-z]+/g)).toEqual(["@"]);
+  });
+
+  it("可省略的部分与零宽断言不算必需字面量", () => {
+    expect(findRequiredLiterals(/(?:token=)?\d{6}/g)).toBeNull();
+    expect(findRequiredLiterals(/(?<=id:)\d+/g)).toBeNull();
+    expect(findRequiredLiterals(/\b\d{11}\b/g)).toBeNull();
+    expect(findRequiredLiterals(/a|\d+/g)).toBeNull();
+  });
+
+  it("i 与 u 同时出现时不做预筛", () => {
+    expect(findRequiredLiterals(/secret/giu)).toBeNull();
+    expect(findRequiredLiterals(/Secret/gi)).toEqual(["secret"]);
+  });
+
+  it("多数内置规则都能提取出字面量", () => {
+    const withLiterals = PATTERNS.filter((p) => findRequiredLiterals(p.regex));
+    expect(withLiterals.length).toBeGreaterThan(PATTERNS.length / 2);
+  });
+});
+
+describe("RuleSet", () => {
+  const patterns = [
+    { name: "openai", regex: /sk-[a-z0-9]{8}/g },
+    { name: "phone", regex: /\b\d{11}\b/g },
+    { name: "first_email", regex: /\w+@\w+\.com/ }
+  ];
+
+  it("只返回可能命中的规则，保持配置顺序", () => {
+    const set = new RuleSet(patterns);
+    expect(set.candidates("nothing here").map((r) => r.pattern.name)).toEqual(["phone"]);
+    expect(set.candidates("a@b.com SK-abcdefgh").map((r) => r.pattern.name)).toEqual(["openai", "phone", "first_email"]);
+  });
+
+  it("预编译全局正则，并记录原规则是否带 g", () => {
+    const [openai, , email] = new RuleSet(patterns).rules;
+    expect(openai.global).toBe(true);
+    expect(email.global).toBe(false);
+    expect(email.regex.flags).toContain("g");
+  });
+
+  it("prefilter 为 false 时每行返回全部规则", () => {
+    const set = new RuleSet(patterns, { prefilter: false });
+    expect(set.candidates("nothing here")).toHaveLength(3);
+  });
+});
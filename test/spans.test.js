@@ -0,0 +1,52 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/spans.js";
+
+const { SPAN_PRIORITY, resolveSpans, applySpans } = Mod.default ?? Mod;
+
+const span = (start, end, rule, priority = SPAN_PRIORITY.pattern, text = "*") => ({ start, end, rule, priority, text });
+
+describe("resolveSpans", () => {
+  it("重叠时优先级高者胜，其次取更长、更靠前的片段", () => {
+    const picked = resolveSpans([
+      span(0, 4, "short"),
+      span(2, 10, "long"),
+      span(3, 5, "key", SPAN_PRIORITY.key),
+      span(12, 14, "a"),
+      span(12, 14, "b"),
+    ]);
+    expect(picked.map((s) => s.rule)).toEqual(["key", "a"]);
+  });
+
+  it("首尾相接不算重叠，结果按起点排序", () => {
+    const picked = resolveSpans([span(4, 6, "b"), span(0, 4, "a"), span(6, 6, "empty")]);
+    expect(picked.map((s) => s.rule)).toEqual(["a", "b"]);
+  });
+
+  it("结果与输入顺序无关", () => {
+    const spans = [span(0, 5, "x"), span(3, 8, "y"), span(3, 8, "z", SPAN_PRIORITY.structure), span(9, 11, "w")];
+    const rules = (list) => resolveSpans(list).map((s) => s.rule);
+    expect(rules([...spans].reverse())).toEqual(rules(spans));
+  });
+});
+
+describe("applySpans", () => {
+  it("一次拼接，只为采纳且有变化的片段计数，延迟生成的替换只对采纳片段求值", () => {
+    let calls = 0;
+    const lazy = () => {
+      calls++;
+      return "#";
+    };
+    const result = applySpans("abc def ghi", [
+      span(0, 3, "p"),
+      { ...span(1, 2, "dropped"), text: lazy },
+      span(4, 7, "same", SPAN_PRIORITY.pattern, "def"),
+      { start: 8, end: 11, rule: "inner", priority: SPAN_PRIORITY.structure, text: "g*i", matches: { email: 2 } },
+    ]);
+    expect(result).toEqual({ masked: "* def g*i", hasChanges: true, matches: { p: 1, email: 2 } });
+    expect(calls).toBe(0);
+  });
+
+  it("没有片段时原样返回", () => {
+    expect(applySpans("x", [])).toEqual({ masked: "x", hasChanges: false, matches: {} });
+  });
+});
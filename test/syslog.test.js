@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/syslog.js";
+
+const { parseSyslogLine, encodeParamValue } = Mod.default ?? Mod;
+
+describe("parseSyslogLine", () => {
+  it("RFC 5424：头部字段、SD 参数（含转义）与消息起点", () => {
+    const line = '<165>1 2024-10-11T22:14:15.003Z web01 auth 1234 ID47 [auth@123 user="bob" note="a \\"b\\" \\]"][x@1] hello';
+    const parsed = parseSyslogLine(line);
+    expect(parsed.format).toBe("5424");
+    expect([parsed.hostname.value, parsed.appName.value, parsed.procId.value, parsed.msgId.value])
+      .toEqual(["web01", "auth", "1234", "ID47"]);
+    expect(parsed.structuredData.map((e) => e.id)).toEqual(["auth@123", "x@1"]);
+    const note = parsed.structuredData[0].params[1];
+    expect(note.value).toBe('a "b" ]');
+    expect(line.slice(note.start, note.end)).toBe('a \\"b\\" \\]');
+    expect(line.slice(parsed.msgStart)).toBe("hello");
+  });
+
+  it("RFC 5424：省略 PRI、NILVALUE 结构化数据、无消息体", () => {
+    const parsed = parseSyslogLine("1 - host app - - -");
+    expect(parsed.structuredData).toEqual([]);
+    expect(parsed.msgStart).toBe("1 - host app - - -".length);
+  });
+
+  it("RFC 3164：主机名、TAG 与 PID", () => {
+    const parsed = parseSyslogLine("<34>Oct  1 22:14:15 mymachine su[230]: 'su root' failed");
+    expect(parsed.format).toBe("3164");
+    expect([parsed.hostname.value, parsed.appName.value, parsed.procId.value]).toEqual(["mymachine", "su", "230"]);
+    expect(parseSyslogLine("Oct 11 22:14:15 host cron: run").procId).toBe(null);
+  });
+
+  it("结构化数据格式错误或普通文本返回 null", () => {
+    expect(parseSyslogLine('1 - h a - - [bad x="1" msg')).toBe(null);
+    expect(parseSyslogLine("2024-10-11 INFO started")).toBe(null);
+  });
+
+  it("encodeParamValue 转义引号、反斜杠与右方括号", () => {
+    expect(encodeParamValue('a"\\]')).toBe('a\\"\\\\\\]');
+  });
+});
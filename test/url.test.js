@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/url.js";
+
+const { findUrls, splitUrl, decodeUrlComponent } = Mod.default ?? Mod;
+
+describe("findUrls", () => {
+  it("定位行内 URL，去掉末尾句读与不配对的括号", () => {
+    const text = "see (https://a.com/x?y=1), then jdbc:mysql://u:p@h/db.";
+    expect(findUrls(text).map(({ start, end }) => text.slice(start, end))).toEqual([
+      "https://a.com/x?y=1",
+      "mysql://u:p@h/db",
+    ]);
+  });
+  it("保留 URL 自身的括号，没有 :// 时不匹配", () => {
+    const text = "https://en.wikipedia.org/wiki/Foo_(bar) ok";
+    expect(findUrls(text).map(({ start, end }) => text.slice(start, end))).toEqual([
+      "https://en.wikipedia.org/wiki/Foo_(bar)",
+    ]);
+    expect(findUrls("no url here: a/b?c=1")).toEqual([]);
+  });
+});
+
+describe("splitUrl", () => {
+  it("拆分 userinfo（取最后一个 @）、host、path、query 与 fragment", () => {
+    expect(splitUrl("https://u:p@ss@h.com:8080/a?x=1#f")).toEqual({
+      scheme: "https://", userinfo: "u:p@ss", host: "h.com:8080", path: "/a", query: "x=1", fragment: "#f",
+    });
+  });
+  it("仅路径的 URL 没有 host 与 userinfo", () => {
+    expect(splitUrl("/login@x?t=1")).toMatchObject({ scheme: "", userinfo: undefined, host: "", path: "/login@x", query: "t=1" });
+  });
+  it("decodeUrlComponent 对非法编码返回原文", () => {
+    expect(decodeUrlComponent("a%40b+c", true)).toBe("a@b c");
+    expect(decodeUrlComponent("%E0%A4%A")).toBe("%E0%A4%A");
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/validators.js";
+
+const {
+  isValidLuhn, isValidChineseIdCard, isValidIban, isValidCardTrackData,
+  isValidHkid, isValidTaiwanId, isValidMyNumber, isValidKoreanRrn, isValidAadhaar, isValidCpf, isValidCnpj, isValidNino
+} = Mod.default ?? Mod;
+
+describe("Luhn", () => {
+  it("合法卡号（含空格/连字符）", () => {
+    expect(isValidLuhn("4111111111111111")).toBe(true);
+    expect(isValidLuhn("4111 1111 1111 1111")).toBe(true);
+    expect(isValidLuhn("6222-6002-6000-1072-444")).toBe(true);
+  });
+  it("校验位错误 / 非卡组织首位 / 全同数字", () => {
+    expect(isValidLuhn("4111111111111112")).toBe(false);
+    expect(isValidLuhn("1234567890123452")).toBe(false);
+    expect(isValidLuhn("0000000000000000")).toBe(false);
+  });
+});
+
+describe("GB 11643 身份证校验位", () => {
+  it("合法（含 X，大小写不敏感）", () => {
+    expect(isValidChineseIdCard("11010519491231002X")).toBe(true);
+    expect(isValidChineseIdCard("11010519491231002x")).toBe(true);
+  });
+  it("校验位不符", () => {
+    expect(isValidChineseIdCard("110105194912310021")).toBe(false);
+  });
+});
+
+describe("IBAN mod 97", () => {
+  it("合法 / 非法", () => {
+    expect(isValidIban("DE89370400440532013000")).toBe(true);
+    expect(isValidIban("GB82 WEST 1234 5698 7654 32")).toBe(true);
+    expect(isValidIban("DE89370400440532013001")).toBe(false);
+  });
+});
+
+describe("磁道数据中的卡号", () => {
+  it("Track 1 / Track 2 中的卡号须通过 Luhn 校验", () => {
+    expect(isValidCardTrackData("%B4111111111111111^DOE/JOHN^2512101000000000?")).toBe(true);
+    expect(isValidCardTrackData(";4111111111111111=25121010000000000?")).toBe(true);
+    expect(isValidCardTrackData(";4111111111111112=25121010000000000?")).toBe(false);
+  });
+});
+
+describe("境外证件号校验位", () => {
+  it("香港身份证：单 / 双字母前缀，括号可省略", () => {
+    expect(isValidHkid("A123456(3)")).toBe(true);
+    expect(isValidHkid("A1234563")).toBe(true);
+    expect(isValidHkid("AB9876543")).toBe(true);
+    expect(isValidHkid("A123456(4)")).toBe(false);
+  });
+
+  it("台湾身份证", () => {
+    expect(isValidTaiwanId("A123456789")).toBe(true);
+    expect(isValidTaiwanId("A123456788")).toBe(false);
+    expect(isValidTaiwanId("A323456789")).toBe(false);
+  });
+
+  it("日本 My Number（忽略空格 / 连字符）", () => {
+    expect(isValidMyNumber("1234 5678 9018")).toBe(true);
+    expect(isValidMyNumber("123456789017")).toBe(false);
+    expect(isValidMyNumber("000000000000")).toBe(false);
+  });
+
+  it("韩国居民登录号：不带 - 时校验位，带 - 时只校验生日与性别位", () => {
+    expect(isValidKoreanRrn("9001011234568")).toBe(true);
+    expect(isValidKoreanRrn("9001011234567")).toBe(false);
+    expect(isValidKoreanRrn("900101-1234567")).toBe(true);
+    expect(isValidKoreanRrn("900230-1234567")).toBe(false);
+  });
+
+  it("印度 Aadhaar（Verhoeff）", () => {
+    expect(isValidAadhaar("2341 2341 2346")).toBe(true);
+    expect(isValidAadhaar("234123412345")).toBe(false);
+    expect(isValidAadhaar("134123412346")).toBe(false);
+  });
+
+  it("巴西 CPF / CNPJ（含字母数字 CNPJ）", () => {
+    expect(isValidCpf("529.982.247-25")).toBe(true);
+    expect(isValidCpf("52998224726")).toBe(false);
+    expect(isValidCpf("111.111.111-11")).toBe(false);
+    expect(isValidCnpj("11.222.333/0001-81")).toBe(true);
+    expect(isValidCnpj("12.ABC.345/01DE-35")).toBe(true);
+    expect(isValidCnpj("11222333000182")).toBe(false);
+  });
+
+  it("英国 NINO：按发放规则校验前缀与后缀", () => {
+    expect(isValidNino("AB 12 34 56 C")).toBe(true);
+    expect(isValidNino("QQ123456C")).toBe(false);
+    expect(isValidNino("GB123456A")).toBe(false);
+    expect(isValidNino("AB123456E")).toBe(false);
+  });
+});
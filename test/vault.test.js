@@ -0,0 +1,75 @@
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import Mod from "../src/core/vault.js";
+
+const { encryptVault, decryptVault, addVaultEntries, isTokenCollisionError, writeVaultFile, readVaultFile, revealToken } = Mod.default ?? Mod;
+
+let dir;
+beforeAll(() => {
+  dir = mkdtempSync(join(tmpdir(), "pf-vault-"));
+});
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+describe("vault 加解密", () => {
+  it("往返一致且密文不含原值", () => {
+    const payload = encryptVault(new Map([["EMAIL_0123abcd", "a@b.com"]]), "pw");
+    expect(payload).not.toContain("a@b.com");
+    expect(decryptVault(payload, "pw").get("EMAIL_0123abcd")).toBe("a@b.com");
+  });
+
+  it("口令错误 / 篡改 / 空口令", () => {
+    const payload = encryptVault({ T_0123abcd: "x" }, "pw");
+    expect(() => decryptVault(payload, "bad")).toThrow("保险库口令错误或文件已损坏");
+
+    const env = JSON.parse(payload);
+    env.data = Buffer.from("tampered").toString("base64");
+    expect(() => decryptVault(JSON.stringify(env), "pw")).toThrow("保险库口令错误或文件已损坏");
+
+    expect(() => encryptVault({}, "")).toThrow("保险库口令不能为空");
+    expect(() => decryptVault("not json", "pw")).toThrow("保险库文件格式无效");
+  });
+});
+
+describe("addVaultEntries", () => {
+  it("合并令牌映射，同令牌同原值可重复出现", () => {
+    const entries = new Map([["EMAIL_0123abcd", "a@b.com"]]);
+    addVaultEntries(entries, [["EMAIL_0123abcd", "a@b.com"], ["PWD_4567ef01", "hunter2"]]);
+    expect([...entries]).toEqual([["EMAIL_0123abcd", "a@b.com"], ["PWD_4567ef01", "hunter2"]]);
+  });
+
+  it("同一令牌对应不同原值时抛出碰撞错误，不覆盖已有条目", () => {
+    const entries = new Map([["EMAIL_0123abcd", "a@b.com"]]);
+    let error;
+    try {
+      addVaultEntries(entries, new Map([["EMAIL_0123abcd", "c@d.com"]]));
+    } catch (e) {
+      error = e;
+    }
+    expect(isTokenCollisionError(error)).toBe(true);
+    expect(error.message).toContain("EMAIL_0123abcd");
+    expect(error.message).not.toContain("c@d.com");
+    expect(entries.get("EMAIL_0123abcd")).toBe("a@b.com");
+  });
+});
+
+describe("vault 文件", () => {
+  it("写入、读取与按令牌还原", () => {
+    const p = join(dir, "a.masked.log.vault");
+    writeVaultFile(p, new Map([["PASSWORD_0123abcd", "hunter2"]]), "pw");
+    expect(readVaultFile(p, "pw").size).toBe(1);
+    expect(revealToken(p, " PASSWORD_0123abcd ", "pw")).toBe("hunter2");
+    expect(revealToken(p, "PASSWORD_ffffffff", "pw")).toBe(null);
+  });
+
+  it("覆盖已有保险库", () => {
+    const p = join(dir, "b.vault");
+    writeFileSync(p, "old", "utf8");
+    writeVaultFile(p, { K_0123abcd: "v" }, "pw");
+    expect(readFileSync(p, "utf8")).not.toBe("old");
+    expect(revealToken(p, "K_0123abcd", "pw")).toBe("v");
+  });
+});
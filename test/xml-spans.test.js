@@ -0,0 +1,32 @@
+import { describe, it, expect } from "vitest";
+import Mod from "../src/core/xml-spans.js";
+
+const { tokenizeXml, decodeXmlText, localName } = Mod.default ?? Mod;
+
+describe("tokenizeXml", () => {
+  it("识别开始/结束/自闭合标签、属性、文本与 CDATA 并记录原文位置", () => {
+    const text = `x <a:b k="1" j='2'>t<![CDATA[<c>]]><d/></a:b>`;
+    const tokens = tokenizeXml(text);
+    expect(tokens.map((t) => t.type)).toEqual(["text", "open", "text", "cdata", "selfclose", "close"]);
+    const open = tokens[1];
+    expect(open.name).toBe("a:b");
+    expect(open.attrs.map((a) => [a.name, text.slice(a.start, a.end)])).toEqual([["k", "1"], ["j", "2"]]);
+    expect(text.slice(tokens[3].start, tokens[3].end)).toBe("<c>");
+  });
+
+  it("注释与声明不产生记号，不构成标签的 < 视为文本", () => {
+    const tokens = tokenizeXml('<?xml version="1.0"?><!-- c --><a>1 < 2</a>');
+    expect(tokens.map((t) => t.type)).toEqual(["open", "text", "close"]);
+    expect(tokenizeXml("if a < b then c")).toEqual([]);
+  });
+});
+
+describe("XML 辅助函数", () => {
+  it("decodeXmlText 解码预定义实体与数字字符引用", () => {
+    expect(decodeXmlText("a&amp;b&lt;&#65;&#x42;")).toBe("a&b<AB");
+  });
+  it("localName 去掉命名空间前缀", () => {
+    expect(localName("wsse:Password")).toBe("Password");
+    expect(localName("cardNumber")).toBe("cardNumber");
+  });
+});